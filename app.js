@@ -1,19 +1,38 @@
+import { UserDictionary } from './user_dictionary.js';
+import { WorkerPool, CancelledError } from './worker_pool.js';
+import { EXPORT_FORMATS, atGranularity } from './export_formats.js';
+import { IMPORT_ACCEPT, importDocument, exportDocument, exportFilename } from './document_formats.js';
+import { segmentFiles, buildBatchZip, topUnknownWords } from './batch.js';
+import { RuleEditor } from './rule_editor.js';
+import { PROFILES, DEFAULT_PROFILE, profileSettings } from './profiles.js';
+import { KhmerValidator, ISSUE_LABELS, applyFix, applyFixes } from './validation.js';
+import { diffLines, spliceTokens } from './line_diff.js';
 
 // State
 const state = {
     editText: '', // Content in Edit Mode
-    segmentedResult: [], // Array of word objects {word, isUnknown}
+    segmentedResult: [], // Array of word objects {word, isUnknown, start, end}
     isSegmenting: false,
     unknownWords: [], // Array of indices in segmentedResult
     currentUnknownIndex: -1,
     mode: 'edit', // 'edit' or 'view'
-    lastSegmentedText: '' // specific snapshot that was segmented
+    selectedIndex: -1, // Segment shown in the details panel (view mode)
+    lastSegmentedText: '', // specific snapshot that was segmented
+    granularity: 'coarse', // 'fine' shows and exports compound parts instead
+    unit: 'word', // 'syllable' or 'cluster' segments without the dictionary
+    issues: [], // Validation issues in lastSegmentedText (see validation.js)
+    importedDocument: null // Last opened file (see document_formats.js)
 };
 
 // UI Elements
 const els = {
     editor: document.getElementById('editor'),
+    editorWrapper: document.getElementById('editor-wrapper'),
+    btnOpenFile: document.getElementById('btn-open-file'),
+    documentFile: document.getElementById('document-file'),
     modeToggle: document.getElementById('mode-toggle'),
+    granularityToggle: document.getElementById('granularity-toggle'),
+    unitSelect: document.getElementById('unit-select'),
     statusIndicator: document.getElementById('status-indicator'),
     wordCount: document.getElementById('word-count'),
     unknownCount: document.getElementById('unknown-count'),
@@ -21,84 +40,41 @@ const els = {
     navStatus: document.getElementById('nav-status'),
     btnPrev: document.getElementById('btn-prev-unknown'),
     btnNext: document.getElementById('btn-next-unknown'),
-    btnDownload: document.getElementById('btn-download')
+    btnDownload: document.getElementById('btn-download'),
+    exportMenu: document.getElementById('export-menu'),
+    segmentDetails: document.getElementById('segment-details'),
+    btnUserDict: document.getElementById('btn-user-dict'),
+    userDictPanel: document.getElementById('user-dict-panel'),
+    userDictList: document.getElementById('user-dict-list'),
+    btnUserDictImport: document.getElementById('btn-user-dict-import'),
+    btnUserDictExport: document.getElementById('btn-user-dict-export'),
+    userDictFile: document.getElementById('user-dict-file'),
+    btnBatch: document.getElementById('btn-batch'),
+    batchPanel: document.getElementById('batch-panel'),
+    btnBatchAdd: document.getElementById('btn-batch-add'),
+    btnBatchDownload: document.getElementById('btn-batch-download'),
+    batchFiles: document.getElementById('batch-files'),
+    batchDrop: document.getElementById('batch-drop'),
+    batchProgress: document.getElementById('batch-progress'),
+    batchSummary: document.getElementById('batch-summary'),
+    profileSelect: document.getElementById('profile-select'),
+    btnRules: document.getElementById('btn-rules'),
+    btnLint: document.getElementById('btn-lint'),
+    lintPanel: document.getElementById('lint-panel'),
+    lintList: document.getElementById('lint-list'),
+    btnLintFixAll: document.getElementById('btn-lint-fix-all'),
+    rulePanel: document.getElementById('rule-panel')
 };
 
 
-// Worker Pool
-class WorkerPool {
-    constructor(size = 4) {
-        this.size = size;
-        this.workers = [];
-        this.queue = [];
-        this.ready = false;
-        this.init();
-    }
-
-    init() {
-        let loadedCount = 0;
-        for (let i = 0; i < this.size; i++) {
-            const worker = new Worker('worker.js', { type: 'module' });
-            worker.onmessage = (e) => {
-                const { type } = e.data;
-                if (type === 'ready') {
-                    loadedCount++;
-                    if (loadedCount === this.size) {
-                        this.ready = true;
-                        updateStatus('រួចរាល់', 'success');
-                    }
-                }
-            };
-            this.workers.push(worker);
-        }
-    }
-
-    async segment(text) {
-        if (!this.ready) return [];
-        // Split text by newlines to preserve structure and parallelize
-        // We use a regex dealing with various newline formats
-        const lines = text.split(/(\r\n|\r|\n)/g);
-        // split with capture enables us to keep the delimiters, so we can reassemble perfectly.
-
-        const promises = lines.map((line) => {
-            // We only process actual content, but we need to preserve the separators too.
-            // However, our worker splits words. A newline is effectively a separator.
-            // So we dispatch "content" lines to workers, and wrap separators as "words" directly.
-
-            if (/^(\r\n|\r|\n)$/.test(line)) {
-                // It's a newline
-                return Promise.resolve([{ word: line, isUnknown: false }]);
-            }
-            if (!line) return Promise.resolve([]);
-            return this._runWorker(line);
-        });
-
-        const results = await Promise.all(promises);
-        return results.flat();
-    }
-
-    _runWorker(text) {
-        return new Promise((resolve, reject) => {
-            const worker = this.workers[Math.floor(Math.random() * this.workers.length)];
-            const id = Math.random().toString(36).substr(2, 9);
-
-            const handler = (e) => {
-                const { type, id: msgId, result, error } = e.data;
-                if (msgId !== id) return; // Not our message
-
-                worker.removeEventListener('message', handler);
-
-                if (type === 'result') resolve(result);
-                else reject(error);
-            };
-
-            worker.addEventListener('message', handler);
-            worker.postMessage({ type: 'segment', text, id });
-        });
+const pool = new WorkerPool({
+    onStatus: (kind, message) => {
+        if (kind === 'loading') updateStatus('កំពុងផ្ទុក...', 'warning');
+        else if (kind === 'ready') updateStatus('រួចរាល់', 'success');
+        else if (kind === 'degraded') updateStatus(message, 'warning');
+        else updateStatus(`Error: ${message}`, 'error');
     }
-}
-
-const pool = new WorkerPool(4);
+});
 
 // Debounce
 function debounce(func, wait) {
@@ -114,13 +90,19 @@ function updateStatus(text, type = 'normal') {
     els.statusIndicator.className = 'status-indicator ' + type;
 }
 
+// For failures of async UI handlers, which would otherwise go unnoticed
+function reportError(err) {
+    console.error(err);
+    updateStatus(`Error: ${err.message}`, 'error');
+}
+
 // ----------------------------------------------------
 // CORE LOGIC with Highlight API
 // ----------------------------------------------------
 
-const runSegmentation = async () => {
-    // Current text in editor
-    const text = els.editor.innerText;
+const runSegmentation = async (text = els.editor.innerText, full = false) => {
+    // Defaults to the current text in editor. `full` skips the incremental
+    // path, e.g. after the dictionary changed.
 
     if (text === state.lastSegmentedText && state.segmentedResult.length > 0 && state.mode === 'edit') {
         // Just re-hightlight incase DOM changed but text didn't? 
@@ -134,13 +116,14 @@ const runSegmentation = async () => {
     const startTime = performance.now();
 
     try {
-        const results = await pool.segment(text);
+        const { results, fresh } = await segmentIncremental(text, full);
         const endTime = performance.now();
         const durationSec = (endTime - startTime) / 1000;
 
         state.segmentedResult = results;
         state.lastSegmentedText = text;
         state.isSegmenting = false;
+        updateIssues(text);
 
         // Analyze
         state.unknownWords = [];
@@ -160,9 +143,10 @@ const runSegmentation = async () => {
             }
         });
 
-        // Benchmark
-        if (durationSec > 0 && wordCount > 0) {
-            const kWordsPerSec = (wordCount / 1000) / durationSec;
+        // Benchmark (only the words actually re-segmented this round)
+        const freshCount = fresh.filter(item => item.word && !/^[\s\n\r]*$/.test(item.word)).length;
+        if (durationSec > 0 && freshCount > 0) {
+            const kWordsPerSec = (freshCount / 1000) / durationSec;
             let benchText = `${kWordsPerSec.toFixed(2)} KWords/sec`;
 
             // Memory (Chrome/Edge only)
@@ -200,113 +184,140 @@ const runSegmentation = async () => {
         updateStatus('រួចរាល់', 'success');
 
     } catch (e) {
-        console.error(e);
+        // A newer run took over; it will update the state
+        if (e instanceof CancelledError) return;
         state.isSegmenting = false;
+        console.error(e);
         updateStatus('Error', 'error');
     }
 };
 
 const debouncedSegmentation = debounce(runSegmentation, 500);
 
+// Re-segments only the lines that changed since the last run and splices
+// the new tokens into the previous result. Tokens never cross a line break,
+// so untouched lines keep their tokens (and cached highlight ranges); the
+// ones after the edit only have their offsets shifted.
+// Returns { results, fresh } where fresh are the newly segmented tokens.
+async function segmentIncremental(text, full = false) {
+    const prevText = state.lastSegmentedText;
+    const prevResult = state.segmentedResult;
+
+    if (full || !prevText || prevResult.length === 0) {
+        const results = await pool.segment(text, { channel: 'editor', decompose: true, unit: state.unit });
+        return { results, fresh: results };
+    }
+
+    const diff = diffLines(prevText, text);
+    if (!diff) return { results: prevResult, fresh: [] };
+
+    const changed = text.slice(diff.newStart, diff.newEnd);
+    const fresh = changed ? await pool.segment(changed, { channel: 'editor', decompose: true, unit: state.unit }) : [];
+
+    // Another run finished meanwhile; our diff base is stale
+    if (state.lastSegmentedText !== prevText) {
+        const results = await pool.segment(text, { channel: 'editor', decompose: true, unit: state.unit });
+        return { results, fresh: results };
+    }
+
+    return { results: spliceTokens(prevResult, diff, fresh), fresh };
+}
+
 // Helper: Map abstract text offsets to DOM Ranges
-// This is the tricky part. We must traverse Text Nodes matching the innerText logic.
-function getAllTextNodes(root) {
-    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
-    const nodes = [];
-    while (walker.nextNode()) nodes.push(walker.currentNode);
-    return nodes;
+// Tokens carry offsets into the editor's innerText, so we only need to know
+// where each text node starts in that string. <br> and block boundaries
+// contribute a newline to innerText without having a text node.
+function buildTextIndex(root) {
+    const entries = [];
+    let length = 0;
+
+    const walk = (node) => {
+        for (let child = node.firstChild; child; child = child.nextSibling) {
+            if (child.nodeType === Node.TEXT_NODE) {
+                entries.push({ node: child, start: length });
+                length += child.nodeValue.length;
+            } else if (child.nodeName === 'BR') {
+                length++;
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                const isBlock = child.nodeName === 'DIV' || child.nodeName === 'P';
+                if (isBlock && length > 0) length++;
+                walk(child);
+            }
+        }
+    };
+    walk(root);
+
+    return { entries, length };
+}
+
+function positionAt(index, offset) {
+    const { entries } = index;
+    // Binary search for the last text node starting at or before offset
+    let lo = 0;
+    let hi = entries.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (entries[mid].start <= offset) lo = mid;
+        else hi = mid - 1;
+    }
+    const entry = entries[lo];
+    const local = Math.min(Math.max(offset - entry.start, 0), entry.node.nodeValue.length);
+    return { node: entry.node, offset: local };
 }
 
+// Ranges are live: the DOM keeps them in place while text elsewhere is
+// edited, so a token surviving an incremental run keeps its Range. A range
+// whose nodes were removed collapses and is rebuilt from offsets.
+const rangeCache = new WeakMap(); // token object -> Range
+
 function getRangesForUnknowns(root, segments, unknownIndices) {
     const ranges = [];
     if (unknownIndices.length === 0) return ranges;
 
-    const textNodes = getAllTextNodes(root);
-    if (textNodes.length === 0) return ranges;
-
-    let nodeIdx = 0;
-    let charIdx = 0; // Index within the current node
+    let index = null; // Built only if some token needs a fresh range
 
-    // We must walk through every segment to keep sync
-    for (let i = 0; i < segments.length; i++) {
+    for (const i of unknownIndices) {
         const segment = segments[i];
-        const segWord = segment.word;
-        if (!segWord) continue;
-
-        // Remove the previous "skip newline segment" block. 
-        // We handle it char-by-char now.
-
-        let segCharIdx = 0;
-        let startNode = null;
-        let startOffset = -1;
-        const isTarget = segment.isUnknown;
-
-        // Console debug for first few and last few segments or purely on mismatch?
-        // Let's log if we have a mismatch to capture the issue.
-
-        while (segCharIdx < segWord.length) {
-            if (nodeIdx >= textNodes.length) {
-                // Run out of DOM text?
-                // If we have remaining segment chars that are just newlines, we can ignore them.
-                // If real content, then we have a problem.
-                break;
-            }
+        if (!segment || segment.start === undefined) continue;
 
-            const node = textNodes[nodeIdx];
-            const nodeVal = node.nodeValue;
+        const cached = rangeCache.get(segment);
+        if (cached && !cached.collapsed && root.contains(cached.startContainer)) {
+            ranges.push({ range: cached, index: i });
+            continue;
+        }
 
-            if (charIdx >= nodeVal.length) {
-                // Move to next node
-                nodeIdx++;
-                charIdx = 0;
-                continue;
-            }
+        if (!index) index = buildTextIndex(root);
+        if (index.entries.length === 0) return ranges;
 
-            const domChar = nodeVal[charIdx];
-            const segChar = segWord[segCharIdx];
-            const domCC = domChar.charCodeAt(0);
-            const segCC = segChar.charCodeAt(0);
-
-            // 1. Strict Match
-            if (domChar === segChar) {
-                if (isTarget && startNode === null) {
-                    startNode = node;
-                    startOffset = charIdx;
-                }
-                charIdx++;
-                segCharIdx++;
-            }
-            // 2. DOM has invisible junk (ZWSP, or sometimes a newline that segment doesn't have?)
-            // Actually, if segment has newline, and DOM has newline, it matches #1.
-            // If DOM has ZWSP, segment doesn't (normalized).
-            else if (/[\u200b\u200c\u200d]/.test(domChar)) {
-                charIdx++;
-            }
-            // 3. Segment has newline, DOM doesn't (likely <br> or block bound)
-            else if (/[\r\n]/.test(segChar)) {
-                segCharIdx++;
-            }
-            // 4. Mismatch
-            else {
-                // Try to skip DOM char to resync?
-                // This usually implies DOM has extra stuff we dind't expect.
-                // console.warn(`Mismatch: DOM '${domChar.charCodeAt(0)}' vs Seg '${segChar.charCodeAt(0)}'`);
-                charIdx++;
-            }
-        }
+        const startPos = positionAt(index, segment.start);
+        const endPos = positionAt(index, segment.end);
 
-        // Close range
-        if (isTarget && startNode) {
-            const range = new Range();
-            range.setStart(startNode, startOffset);
-            range.setEnd(textNodes[nodeIdx], charIdx);
-            ranges.push({ range, index: i });
-        }
+        const range = new Range();
+        range.setStart(startPos.node, startPos.offset);
+        range.setEnd(endPos.node, endPos.offset);
+        rangeCache.set(segment, range);
+        ranges.push({ range, index: i });
     }
 
     return ranges;
 }
 
+// Issue ranges are cheap to rebuild and change with every edit; no cache
+function getRangesForIssues(root, issues) {
+    if (issues.length === 0) return [];
+    const index = buildTextIndex(root);
+    if (index.entries.length === 0) return [];
+
+    return issues.map(issue => {
+        const startPos = positionAt(index, issue.start);
+        const endPos = positionAt(index, issue.end);
+        const range = new Range();
+        range.setStart(startPos.node, startPos.offset);
+        range.setEnd(endPos.node, endPos.offset);
+        return range;
+    });
+}
+
 function applyHighlights() {
     if (!window.CSS || !CSS.highlights) {
         console.error("CSS Custom Highlight API not supported.");
@@ -320,6 +331,8 @@ function applyHighlights() {
     const unknownHighlight = new Highlight(...unknownRanges);
     CSS.highlights.set('unknown-word', unknownHighlight);
 
+    CSS.highlights.set('lint-issue', new Highlight(...getRangesForIssues(els.editor, state.issues)));
+
     // Current Nav Highlight
     if (state.currentUnknownIndex !== -1) {
         // Find the range that corresponds to this index
@@ -354,6 +367,20 @@ els.editor.addEventListener('paste', (e) => {
 // Sync paragraph separator
 document.execCommand('defaultParagraphSeparator', false, 'br');
 
+els.granularityToggle.addEventListener('change', () => {
+    state.granularity = els.granularityToggle.checked ? 'fine' : 'coarse';
+    if (state.mode === 'view') {
+        hideSegmentDetails();
+        renderViewMode();
+    }
+});
+
+els.unitSelect.addEventListener('change', async () => {
+    state.unit = els.unitSelect.value;
+    hideSegmentDetails();
+    await resegment();
+});
+
 els.modeToggle.addEventListener('change', (e) => {
     const isViewMode = e.target.checked;
     state.mode = isViewMode ? 'view' : 'edit';
@@ -380,8 +407,11 @@ function renderViewMode() {
     let html = '';
     state.segmentedResult.forEach((item, index) => {
         const cls = item.isUnknown ? 'segment-box unknown-box' : 'segment-box';
-        const safeWord = item.word.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-        html += `<span class="${cls}" data-index="${index}">${safeWord}</span>`;
+        // Fine granularity: compounds keep one box, split into their parts
+        const content = state.granularity === 'fine' && item.parts
+            ? item.parts.map(part => `<span class="segment-part">${escapeHtml(part.word)}</span>`).join('')
+            : escapeHtml(item.word);
+        html += `<span class="${cls}" data-index="${index}">${content}</span>`;
     });
     els.editor.innerHTML = html;
 }
@@ -389,10 +419,241 @@ function renderViewMode() {
 function renderEditMode() {
     els.editor.contentEditable = true;
     els.editor.classList.remove('view-mode');
+    hideSegmentDetails();
     els.editor.innerText = state.lastSegmentedText;
     applyHighlights();
 }
 
+function escapeHtml(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// ----------------------------------------------------
+// Segment details (view mode)
+// ----------------------------------------------------
+
+const SOURCE_LABELS = {
+    dictionary: 'Dictionary match',
+    number: 'Number grouping',
+    separator: 'Separator',
+    acronym: 'Acronym',
+    unknown: 'Unknown cluster fallback',
+    repair: 'Forced repair (stray coeng / dependent vowel)',
+    rule: 'Rule merge',
+    rule_split: 'Rule split',
+    unknown_merge: 'Merged unknown segments'
+};
+
+// The line of `text` containing `offset`, as split by WorkerPool.segment
+function lineAround(text, offset) {
+    let start = offset;
+    while (start > 0 && text[start - 1] !== '\n' && text[start - 1] !== '\r') start--;
+    let end = offset;
+    while (end < text.length && text[end] !== '\n' && text[end] !== '\r') end++;
+    return { lineStart: start, line: text.slice(start, end) };
+}
+
+async function showSegmentDetails(index) {
+    const item = state.segmentedResult[index];
+    // Provenance only exists for dictionary segmentation
+    if (!item || state.unit !== 'word' || item.start === undefined || /^[\r\n]+$/.test(item.word)) {
+        hideSegmentDetails();
+        return;
+    }
+
+    const { lineStart, line } = lineAround(state.lastSegmentedText, item.start);
+    const [traced, alternatives] = await Promise.all([
+        pool.explain(line),
+        pool.nBest(line, 3)
+    ]);
+
+    // Ignore stale responses if another box was clicked meanwhile
+    if (state.selectedIndex !== index) return;
+
+    const token = traced.find(t => t.start + lineStart === item.start);
+    if (!token || !token.trace) {
+        hideSegmentDetails();
+        return;
+    }
+
+    const { trace } = token;
+    const partRows = trace.parts.map(part => {
+        let type = SOURCE_LABELS[part.type] || part.type;
+        if (part.type === 'dictionary') {
+            type += part.inFrequencyTable ? ' (frequency cost)' : ' (default cost)';
+        }
+        return `<tr><td>${escapeHtml(part.text)}</td><td>${type}</td><td>${part.cost.toFixed(2)}</td></tr>`;
+    }).join('');
+
+    const rules = trace.rules.length > 0
+        ? trace.rules.map(name => `<li>${escapeHtml(name)}</li>`).join('')
+        : '<li>None</li>';
+
+    const altItems = alternatives.map(alt =>
+        `<li><span class="alt-cost">${alt.cost.toFixed(2)}</span>${escapeHtml(alt.segments.join(' | '))}</li>`
+    ).join('');
+
+    els.segmentDetails.innerHTML = `
+        <div class="details-header">
+            <span class="details-word">${escapeHtml(token.word)}</span>
+            <span class="details-source">${SOURCE_LABELS[trace.source] || trace.source}</span>
+            <span class="details-cost">Cost ${trace.cost.toFixed(2)}</span>
+        </div>
+        <table class="details-parts">
+            <thead><tr><th>Edge</th><th>Source</th><th>Cost</th></tr></thead>
+            <tbody>${partRows}</tbody>
+        </table>
+        <div class="details-section">Rules applied</div>
+        <ul class="details-rules">${rules}</ul>
+        <div class="details-section">Best segmentations of this line</div>
+        <ol class="details-alternatives">${altItems}</ol>
+        ${renderUserDictActions(item, trace)}
+    `;
+    els.segmentDetails.hidden = false;
+}
+
+function renderUserDictActions(item, trace) {
+    if (item.isUnknown) {
+        return `
+        <div class="details-actions">
+            <input type="text" class="text-input" id="user-word-input" value="${escapeHtml(item.word)}">
+            <input type="number" class="text-input" id="user-freq-input" min="1" placeholder="Frequency (optional)">
+            <button class="btn btn-secondary" data-action="add-word">Add to dictionary</button>
+        </div>`;
+    }
+    if (trace.source === 'dictionary' && !userDictionary.entries.has(item.word)) {
+        return `
+        <div class="details-actions">
+            <button class="btn btn-secondary" data-action="block-word"
+                data-word="${escapeHtml(item.word)}">Mark as false positive</button>
+        </div>`;
+    }
+    return '';
+}
+
+function hideSegmentDetails() {
+    state.selectedIndex = -1;
+    els.segmentDetails.hidden = true;
+    document.querySelectorAll('.selected-box').forEach(el => el.classList.remove('selected-box'));
+}
+
+els.editor.addEventListener('click', (e) => {
+    if (state.mode !== 'view') return;
+    const box = e.target.closest('.segment-box');
+    if (!box) return;
+
+    document.querySelectorAll('.selected-box').forEach(el => el.classList.remove('selected-box'));
+    box.classList.add('selected-box');
+
+    state.selectedIndex = parseInt(box.dataset.index, 10);
+    showSegmentDetails(state.selectedIndex).catch(err => console.error(err));
+});
+
+els.segmentDetails.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    try {
+        if (button.dataset.action === 'add-word') {
+            const word = document.getElementById('user-word-input').value;
+            const freq = parseFloat(document.getElementById('user-freq-input').value);
+            const entry = await userDictionary.addWord(word, Number.isFinite(freq) && freq > 0 ? freq : null);
+            await pool.addWord(entry.word, entry.freq);
+        } else if (button.dataset.action === 'block-word') {
+            const entry = await userDictionary.blockWord(button.dataset.word);
+            await pool.removeWord(entry.word);
+        }
+        hideSegmentDetails();
+        renderUserDictList();
+        await resegment();
+    } catch (err) {
+        reportError(err);
+    }
+});
+
+// ----------------------------------------------------
+// User Dictionary
+// ----------------------------------------------------
+
+const userDictionary = new UserDictionary();
+
+// Pushes the whole user dictionary to all workers, which rebuild from the
+// bundled data (needed when entries are removed or imported), then re-segments
+async function syncUserDictionary() {
+    renderUserDictList();
+    updateStatus('កំពុងដំណើរការ...', 'warning');
+    await pool.setUserDictionary(userDictionary.list());
+    await resegment();
+}
+
+// In view mode the editor holds segment boxes, so re-use the last text
+async function resegment() {
+    if (state.mode === 'view') {
+        await runSegmentation(state.lastSegmentedText, true);
+        renderViewMode();
+    } else {
+        await runSegmentation(els.editor.innerText, true);
+    }
+}
+
+function renderUserDictList() {
+    const entries = userDictionary.list();
+    if (entries.length === 0) {
+        els.userDictList.innerHTML = '<li class="user-dict-empty">No entries yet</li>';
+        return;
+    }
+    els.userDictList.innerHTML = entries.map(entry => {
+        const status = entry.blocked ? 'Blocked' : (entry.freq ? `Freq ${entry.freq}` : 'Added');
+        const cls = entry.blocked ? 'user-dict-entry blocked' : 'user-dict-entry';
+        return `<li class="${cls}">
+            <span class="user-dict-word">${escapeHtml(entry.word)}</span>
+            <span class="user-dict-status">${status}</span>
+            <button class="btn-icon" data-word="${escapeHtml(entry.word)}" title="Remove">&times;</button>
+        </li>`;
+    }).join('');
+}
+
+els.btnUserDict.addEventListener('click', () => {
+    els.userDictPanel.hidden = !els.userDictPanel.hidden;
+});
+
+els.userDictList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-word]');
+    if (!button) return;
+    try {
+        await userDictionary.remove(button.dataset.word);
+        await syncUserDictionary();
+    } catch (err) {
+        reportError(err);
+    }
+});
+
+els.btnUserDictImport.addEventListener('click', () => els.userDictFile.click());
+
+els.userDictFile.addEventListener('change', async () => {
+    const file = els.userDictFile.files[0];
+    els.userDictFile.value = '';
+    if (!file) return;
+    try {
+        await userDictionary.importText(await file.text());
+        await syncUserDictionary();
+    } catch (err) {
+        reportError(err);
+    }
+});
+
+els.btnUserDictExport.addEventListener('click', () => {
+    downloadText(userDictionary.toText(), 'user_dictionary.txt');
+});
+
+userDictionary.open()
+    .then(() => {
+        renderUserDictList();
+        // Workers queue the entries until their own data has loaded
+        return pool.setUserDictionary(userDictionary.list());
+    })
+    .catch(err => console.error('User dictionary unavailable:', err));
+
 // Nav
 function updateNavStatus() {
     const total = state.unknownWords.length;
@@ -479,24 +740,364 @@ state.editText = els.editor.innerText;
 // Force BR for newlines to match backdrop pre-wrap behavior better than P/DIV
 document.execCommand('defaultParagraphSeparator', false, 'br');
 
-// Download Handler
-els.btnDownload.addEventListener('click', () => {
+// Download Handler: the button opens a menu of export formats
+for (const [key, format] of Object.entries(EXPORT_FORMATS)) {
+    const item = document.createElement('button');
+    item.className = 'export-item';
+    item.dataset.format = key;
+    item.textContent = format.label;
+    els.exportMenu.appendChild(item);
+}
+
+// Writes the opened file back in its own format; shown once a file is open
+const exportDocumentItem = document.createElement('button');
+exportDocumentItem.className = 'export-item';
+exportDocumentItem.dataset.format = 'document';
+exportDocumentItem.hidden = true;
+els.exportMenu.appendChild(exportDocumentItem);
+
+els.btnDownload.addEventListener('click', (e) => {
+    e.stopPropagation();
+    els.exportMenu.hidden = !els.exportMenu.hidden;
+});
+
+document.addEventListener('click', () => {
+    els.exportMenu.hidden = true;
+});
+
+els.exportMenu.addEventListener('click', (e) => {
+    const item = e.target.closest('.export-item');
+    if (!item) return;
+    els.exportMenu.hidden = true;
     if (state.segmentedResult.length === 0) return;
 
-    // Format: word1 | word 2 | word 3
-    const textContent = state.segmentedResult
-        .map(s => s.word)
-        .filter(w => w && !/^[\s\r\n]*$/.test(w)) // Filter out whitespace-only segments
-        .join(' | ');
+    if (item.dataset.format === 'document') {
+        exportImportedDocument().catch(err => {
+            console.error(err);
+            updateStatus(`Error: ${err.message}`, 'error');
+        });
+        return;
+    }
+
+    const format = EXPORT_FORMATS[item.dataset.format];
+    const tokens = atGranularity(state.segmentedResult, state.granularity);
+    const content = format.build(state.lastSegmentedText, tokens);
+    downloadText(content, `segmentation_result.${format.extension}`, format.mime);
+});
 
-    const blob = new Blob([textContent], { type: 'text/plain' });
+function downloadText(textContent, filename, mime = 'text/plain') {
+    downloadBlob(new Blob([textContent], { type: `${mime};charset=utf-8` }), filename);
+}
+
+function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'segmentation_result.txt';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
+}
+
+// File import: file picker and drag-and-drop onto the editor
+els.documentFile.accept = IMPORT_ACCEPT;
+
+async function openDocument(file) {
+    updateStatus('កំពុងផ្ទុក...', 'warning');
+    let doc;
+    try {
+        doc = await importDocument(file);
+    } catch (err) {
+        console.error(err);
+        updateStatus(`Error: ${err.message}`, 'error');
+        return;
+    }
+
+    state.importedDocument = doc;
+    exportDocumentItem.textContent = `${doc.name} (ZWSP)`;
+    exportDocumentItem.hidden = false;
+
+    if (state.mode === 'view') {
+        els.modeToggle.checked = false;
+        state.mode = 'edit';
+        els.editor.contentEditable = true;
+        els.editor.classList.remove('view-mode');
+        hideSegmentDetails();
+    }
+    els.editor.innerText = doc.text;
+    await runSegmentation(els.editor.innerText, true);
+}
+
+// The container is rebuilt from the imported text: edits made in the
+// editor afterwards have no place to go in the original file.
+async function exportImportedDocument() {
+    const doc = state.importedDocument;
+    // innerText may drop a trailing line break
+    const edited = state.lastSegmentedText.replace(/\n+$/, '') !== doc.text.replace(/\n+$/, '');
+    const tokens = edited ? await pool.segment(doc.text, { decompose: true, unit: state.unit }) : state.segmentedResult;
+    downloadBlob(await exportDocument(doc, atGranularity(tokens, state.granularity)), exportFilename(doc));
+    if (edited) updateStatus('Edits made after opening the file are not in the download', 'warning');
+}
+
+els.btnOpenFile.addEventListener('click', () => els.documentFile.click());
+
+els.documentFile.addEventListener('change', () => {
+    const file = els.documentFile.files[0];
+    els.documentFile.value = '';
+    if (file) openDocument(file);
+});
+
+els.editorWrapper.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    els.editorWrapper.classList.add('drag-over');
+});
+
+els.editorWrapper.addEventListener('dragleave', () => {
+    els.editorWrapper.classList.remove('drag-over');
 });
 
+els.editorWrapper.addEventListener('drop', (e) => {
+    const file = e.dataTransfer.files[0];
+    els.editorWrapper.classList.remove('drag-over');
+    if (!file) return;
+    e.preventDefault();
+    openDocument(file);
+});
+
+// Batch mode
+let batchResults = null;
+let batchRunning = false;
+
+async function runBatch(files) {
+    if (batchRunning || files.length === 0) return;
+    batchRunning = true;
+    batchResults = null;
+    els.btnBatchDownload.disabled = true;
+    els.batchSummary.innerHTML = '';
+    els.batchProgress.hidden = false;
+    els.batchProgress.max = files.length;
+    els.batchProgress.value = 0;
+
+    try {
+        batchResults = await segmentFiles(pool, files, {
+            concurrency: pool.size,
+            onProgress: (done) => {
+                els.batchProgress.value = done;
+            }
+        });
+        renderBatchSummary(batchResults);
+        els.btnBatchDownload.disabled = false;
+    } catch (err) {
+        showBatchError(err);
+    } finally {
+        batchRunning = false;
+        els.batchProgress.hidden = true;
+    }
+}
+
+// Failures of the batch as a whole (single files are reported per row)
+function showBatchError(err) {
+    console.error(err);
+    els.batchSummary.innerHTML = `<div class="batch-error">Error: ${escapeHtml(err.message)}</div>`;
+}
+
+function renderBatchSummary(results) {
+    const rows = results.map(r => r.error
+        ? `<tr><td>${escapeHtml(r.name)}</td><td colspan="3" class="batch-error">${escapeHtml(r.error)}</td></tr>`
+        : `<tr><td>${escapeHtml(r.name)}</td><td>${r.summary.tokens}</td><td>${r.summary.unknown}</td>` +
+        `<td>${(r.summary.unknownRate * 100).toFixed(1)}%</td></tr>`).join('');
+
+    const top = topUnknownWords(results, 20)
+        .map(([word, count]) => `<li><span class="alt-cost">${count}</span>${escapeHtml(word)}</li>`)
+        .join('');
+
+    els.batchSummary.innerHTML = `
+        <table class="details-parts">
+            <tr><th>File</th><th>Tokens</th><th>Unknown</th><th>Rate</th></tr>
+            ${rows}
+        </table>
+        <div class="details-section">Top unknown words</div>
+        ${top ? `<ol class="details-alternatives">${top}</ol>` : '<div>None</div>'}
+    `;
+}
+
+els.btnBatch.addEventListener('click', () => {
+    els.batchPanel.hidden = !els.batchPanel.hidden;
+});
+
+els.batchFiles.accept = IMPORT_ACCEPT;
+els.btnBatchAdd.addEventListener('click', () => els.batchFiles.click());
+
+els.batchFiles.addEventListener('change', () => {
+    const files = [...els.batchFiles.files];
+    els.batchFiles.value = '';
+    runBatch(files);
+});
+
+els.batchDrop.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    els.batchDrop.classList.add('drag-over');
+});
+
+els.batchDrop.addEventListener('dragleave', () => {
+    els.batchDrop.classList.remove('drag-over');
+});
+
+els.batchDrop.addEventListener('drop', (e) => {
+    e.preventDefault();
+    els.batchDrop.classList.remove('drag-over');
+    runBatch([...e.dataTransfer.files]);
+});
+
+els.btnBatchDownload.addEventListener('click', async () => {
+    if (!batchResults) return;
+    try {
+        const zip = await buildBatchZip(batchResults);
+        downloadBlob(new Blob([zip], { type: 'application/zip' }), 'segmentation_batch.zip');
+    } catch (err) {
+        showBatchError(err);
+    }
+});
+
+// Rule editor
+const ruleEditor = new RuleEditor({
+    panel: els.rulePanel,
+    list: document.getElementById('rule-list'),
+    json: document.getElementById('rule-json'),
+    jsonError: document.getElementById('rule-json-error'),
+    status: document.getElementById('rule-status'),
+    preview: document.getElementById('rule-preview'),
+    btnAdd: document.getElementById('btn-rule-add'),
+    btnApply: document.getElementById('btn-rule-apply'),
+    btnReset: document.getElementById('btn-rule-reset'),
+    btnExport: document.getElementById('btn-rule-export')
+}, {
+    pool,
+    getText: () => state.lastSegmentedText,
+    download: (text, filename) => downloadText(text, filename, 'application/json'),
+    onApply: resegment
+});
+
+ruleEditor.load()
+    .then(restored => {
+        if (restored) return resegment();
+    })
+    .catch(err => console.error('Rule editor unavailable:', err));
+
+els.btnRules.addEventListener('click', () => {
+    els.rulePanel.hidden = !els.rulePanel.hidden;
+    if (!els.rulePanel.hidden) ruleEditor.preview();
+});
+
+// Segmentation profiles
+const PROFILE_STORAGE_KEY = 'khmer-segmenter-profile';
+
+els.profileSelect.innerHTML = Object.entries(PROFILES)
+    .map(([name, profile]) => `<option value="${name}">${escapeHtml(profile.label)}</option>`)
+    .join('');
+
+async function selectProfile(name) {
+    if (!PROFILES[name]) name = DEFAULT_PROFILE;
+    els.profileSelect.value = name;
+    els.profileSelect.title = PROFILES[name].description;
+    const errors = await pool.setProfile(name === DEFAULT_PROFILE ? null : profileSettings(name));
+    if (errors.length > 0) console.error(`Profile "${name}" has rule errors:`, errors);
+}
+
+els.profileSelect.addEventListener('change', async () => {
+    const name = els.profileSelect.value;
+    localStorage.setItem(PROFILE_STORAGE_KEY, name);
+    try {
+        await selectProfile(name);
+        await resegment();
+        if (!els.rulePanel.hidden) ruleEditor.preview();
+    } catch (err) {
+        reportError(err);
+    }
+});
+
+const savedProfile = localStorage.getItem(PROFILE_STORAGE_KEY);
+if (savedProfile && savedProfile !== DEFAULT_PROFILE) {
+    selectProfile(savedProfile)
+        .then(resegment)
+        .catch(err => console.error('Profile unavailable:', err));
+} else {
+    els.profileSelect.value = DEFAULT_PROFILE;
+}
+
+// Text validation: issues are highlighted in the editor and listed in the
+// issues panel, each with a one-click fix
+const validator = new KhmerValidator();
+
+function updateIssues(text) {
+    state.issues = validator.validate(text);
+    const count = state.issues.length;
+    els.btnLint.textContent = count > 0 ? `Issues (${count})` : 'Issues';
+    els.btnLintFixAll.disabled = !state.issues.some(issue => issue.fix !== null);
+    renderIssueList();
+}
+
+// The issue's text with a little context, e.g. "ក[្]ា"
+function issueSnippet(text, issue) {
+    const before = text.slice(Math.max(0, issue.start - 3), issue.start);
+    const after = text.slice(issue.end, issue.end + 3);
+    const shown = text.slice(issue.start, issue.end).replace(/\u200b/g, '\u2423');
+    return `${escapeHtml(before)}[${escapeHtml(shown)}]${escapeHtml(after)}`;
+}
+
+function renderIssueList() {
+    if (state.issues.length === 0) {
+        els.lintList.innerHTML = '<li class="user-dict-empty">No issues found</li>';
+        return;
+    }
+    const text = state.lastSegmentedText;
+    els.lintList.innerHTML = state.issues.map((issue, index) => {
+        const fix = issue.fix === null
+            ? ''
+            : `<button class="btn btn-secondary" data-issue="${index}">Apply fix</button>`;
+        return `<li class="user-dict-entry lint-entry">
+            <span class="user-dict-word">${issueSnippet(text, issue)}</span>
+            <span>${escapeHtml(ISSUE_LABELS[issue.type])}: ${escapeHtml(issue.message)}</span>
+            <span class="user-dict-status">${fix}</span>
+        </li>`;
+    }).join('');
+}
+
+// In view mode the editor holds segment boxes; the text lives in state
+async function fixIssues(fixed) {
+    if (state.mode === 'view') {
+        await runSegmentation(fixed, true);
+        renderViewMode();
+        return;
+    }
+    els.editor.innerText = fixed;
+    await runSegmentation(els.editor.innerText, true);
+}
+
+// Offsets refer to lastSegmentedText. If the editor has moved on, only
+// re-check it; the issues listed are stale.
+function editorIsCurrent() {
+    if (state.mode === 'edit' && els.editor.innerText !== state.lastSegmentedText) {
+        runSegmentation();
+        return false;
+    }
+    return true;
+}
+
+els.btnLint.addEventListener('click', () => {
+    els.lintPanel.hidden = !els.lintPanel.hidden;
+});
+
+els.lintList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-issue]');
+    if (!button || !editorIsCurrent()) return;
+    const issue = state.issues[Number(button.dataset.issue)];
+    if (issue) await fixIssues(applyFix(state.lastSegmentedText, issue));
+});
+
+els.btnLintFixAll.addEventListener('click', async () => {
+    if (!editorIsCurrent()) return;
+    await fixIssues(applyFixes(state.lastSegmentedText, state.issues));
+});
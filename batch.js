@@ -0,0 +1,97 @@
+// Batch Segmentation
+// Segments many files through a WorkerPool and packs the results into one
+// zip: each file in its own format with ZWSP inserted (document_formats.js),
+// plus a per-file report and the unknown words across the batch.
+
+import { importDocument, exportDocument, exportFilename } from './document_formats.js';
+import { csvField, toUnknownCsv } from './export_formats.js';
+import { writeZip } from './zip.js';
+
+function isWord(token) {
+    return !/^\s*$/.test(token.word);
+}
+
+export function summarize(name, tokens) {
+    const words = tokens.filter(isWord);
+    const unknown = words.filter(t => t.isUnknown).length;
+    return {
+        name,
+        tokens: words.length,
+        unknown,
+        unknownRate: words.length > 0 ? unknown / words.length : 0
+    };
+}
+
+// Unknown words over all files, most frequent first
+export function topUnknownWords(results, limit = Infinity) {
+    const counts = new Map();
+    for (const result of results) {
+        if (result.error) continue;
+        for (const t of result.tokens) {
+            if (t.isUnknown) counts.set(t.word, (counts.get(t.word) || 0) + 1);
+        }
+    }
+    return [...counts].sort((a, b) => b[1] - a[1]).slice(0, limit);
+}
+
+export function reportCsv(results) {
+    const rows = results.map(r => r.error
+        ? [csvField(r.name), '', '', '', csvField(r.error)].join(',')
+        : [csvField(r.name), r.summary.tokens, r.summary.unknown, r.summary.unknownRate.toFixed(4), ''].join(','));
+    return '\ufeff' + ['file,tokens,unknown,unknown_rate,error', ...rows].join('\r\n') + '\r\n';
+}
+
+// Segments `files` (File objects), `concurrency` at a time; the pool
+// spreads the lines of each over its workers. onProgress(done, total) is
+// called after every file. Failed files are reported, not thrown.
+// Returns [{ name, doc, tokens, summary } | { name, error }] in input order.
+export async function segmentFiles(pool, files, options = {}) {
+    const { concurrency = 4, onProgress = () => { } } = options;
+    const results = new Array(files.length);
+    let next = 0;
+    let done = 0;
+
+    const run = async () => {
+        while (next < files.length) {
+            const index = next++;
+            const file = files[index];
+            try {
+                const doc = await importDocument(file);
+                const tokens = await pool.segment(doc.text);
+                results[index] = { name: file.name, doc, tokens, summary: summarize(file.name, tokens) };
+            } catch (err) {
+                results[index] = { name: file.name, error: err.message };
+            }
+            onProgress(++done, files.length);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, run));
+    return results;
+}
+
+// Zip with segmented/<file> for each successful result, report.csv and
+// unknown_words.csv. Returns a Uint8Array.
+export async function buildBatchZip(results) {
+    const encoder = new TextEncoder();
+    const entries = [];
+    const used = new Set();
+
+    for (const result of results) {
+        if (result.error) continue;
+        const blob = await exportDocument(result.doc, result.tokens);
+
+        // Two inputs may share a name (dropped from different folders)
+        let name = `segmented/${exportFilename(result.doc)}`;
+        for (let n = 2; used.has(name); n++) {
+            name = `segmented/${exportFilename(result.doc).replace(/(\.[^.]*)$/, `-${n}$1`)}`;
+        }
+        used.add(name);
+        entries.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+    }
+
+    const allTokens = results.flatMap(r => r.tokens || []);
+    entries.push({ name: 'report.csv', data: encoder.encode(reportCsv(results)) });
+    entries.push({ name: 'unknown_words.csv', data: encoder.encode(toUnknownCsv('', allTokens)) });
+    return writeZip(entries);
+}
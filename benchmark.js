@@ -0,0 +1,75 @@
+// Benchmark Harness
+// Compares dictionary index implementations (see KhmerSegmenter options)
+// on a corpus built from the bundled frequency list. Reports KWords/sec the
+// same way the editor does: whitespace-only tokens are not counted.
+
+// Deterministic sample of `wordCount` words drawn in proportion to their
+// frequency, with occasional spaces and a sentence mark every ~20 words.
+export function buildCorpus(frequencyData, wordCount = 50000, seed = 1) {
+    const entries = Object.entries(frequencyData);
+    const cumulative = new Float64Array(entries.length);
+    let total = 0;
+    entries.forEach(([, count], idx) => {
+        total += count;
+        cumulative[idx] = total;
+    });
+
+    // mulberry32, in exact 32-bit integer arithmetic so every run (and
+    // every browser) sees the same text
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const parts = [];
+    for (let i = 0; i < wordCount; i++) {
+        const target = random() * total;
+        let lo = 0;
+        let hi = entries.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (cumulative[mid] < target) lo = mid + 1;
+            else hi = mid;
+        }
+        parts.push(entries[lo][0]);
+
+        if (random() < 0.1) parts.push(' ');
+        if (i % 20 === 19) parts.push('។\n');
+    }
+    return parts.join('');
+}
+
+export function countWords(segments) {
+    let count = 0;
+    for (const seg of segments) {
+        if (!/^[\s\n\r]*$/.test(seg)) count++;
+    }
+    return count;
+}
+
+// Segments `text` line by line (as the WorkerPool does) `iterations` times
+// after one warm-up pass. Returns { words, seconds, kWordsPerSec }.
+export function measure(segmenter, text, iterations = 3) {
+    const lines = text.split(/\r?\n/).filter(line => line);
+    const run = () => {
+        let words = 0;
+        for (const line of lines) {
+            words += countWords(segmenter.segment(line));
+        }
+        return words;
+    };
+
+    run();
+
+    let words = 0;
+    const start = performance.now();
+    for (let i = 0; i < iterations; i++) {
+        words = run();
+    }
+    const seconds = (performance.now() - start) / 1000 / iterations;
+
+    return { words, seconds, kWordsPerSec: (words / 1000) / seconds };
+}
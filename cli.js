@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+// Command-line batch segmentation
+//
+//   node cli.js [options] [file ...]
+//
+// Streams the given files (or stdin when none, or for "-") through the
+// segmenter in bounded pieces and writes the segmentation to stdout.
+
+import { createReadStream } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { loadSegmenter } from './segmenter_node.js';
+import { segmentChunks } from './segment_stream.js';
+
+const USAGE = `Usage: node cli.js [options] [file ...]
+
+Options:
+  -s, --separator <sep>     Token separator for text output (default: space).
+                            Escapes \\t and \\u200b are understood.
+  -f, --format <format>     text | json | tsv (default: text)
+                              text  one output line per input line
+                              json  one JSON object per input line, with
+                                    offsets and unknown flags
+                              tsv   one token per line, blank line between
+                                    input lines
+      --no-post-processing  Raw Viterbi output, without rules.json and
+                            unknown merging
+      --user-dict <file>    Plain text user dictionary to apply
+      --raw                 Parse the raw data files even if a bundle exists
+      --model <model>       unigram | bigram language model (default:
+                            unigram)
+      --bigrams <file>      Bigram table, required by --model bigram, as
+                            written by tools/train_frequencies.js --bigrams
+  -h, --help                Show this help`;
+
+function unescapeSeparator(sep) {
+    return sep
+        .replace(/\\t/g, '\t')
+        .replace(/\\n/g, '\n')
+        .replace(/\\u([0-9a-fA-F]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Writes tokens as they stream in. Offsets in json output are relative to
+// the input line, which is buffered until its newline arrives.
+function createFormatter(segmenter, options) {
+    let lineText = '';
+    let lineStart = 0;
+    let lineTokens = [];
+    let needSeparator = false;
+
+    const endLine = (nextStart) => {
+        let out = '\n';
+        if (options.format === 'json') {
+            out = JSON.stringify({
+                text: lineText,
+                tokens: lineTokens.map(t => ({
+                    text: t.text,
+                    start: t.start - lineStart,
+                    end: t.end - lineStart,
+                    isUnknown: segmenter.isUnknown(t.text)
+                }))
+            }) + '\n';
+        }
+        lineText = '';
+        lineTokens = [];
+        lineStart = nextStart;
+        needSeparator = false;
+        return out;
+    };
+
+    return {
+        write(tokens) {
+            let out = '';
+            for (const t of tokens) {
+                if (t.text === '\n') {
+                    out += endLine(t.end);
+                    continue;
+                }
+                if (t.text === '\r') continue; // Part of \r\n
+                lineText += t.raw;
+                if (options.format === 'json') {
+                    lineTokens.push(t);
+                    continue;
+                }
+                if (/^\s*$/.test(t.text)) continue;
+
+                if (options.format === 'tsv') {
+                    out += `${t.text}\t${t.start}\t${t.end}\t${segmenter.isUnknown(t.text) ? 1 : 0}\n`;
+                } else {
+                    out += (needSeparator ? options.separator : '') + t.text;
+                    needSeparator = true;
+                }
+            }
+            return out;
+        },
+        end() {
+            if (lineText === '' && lineTokens.length === 0) return '';
+            return endLine(0);
+        }
+    };
+}
+
+// Set when the reader of stdout goes away (e.g. `node cli.js ... | head`);
+// segmentation then stops and the process exits quietly
+let stdoutClosed = false;
+process.stdout.on('error', err => {
+    if (err.code === 'EPIPE') {
+        stdoutClosed = true;
+        return;
+    }
+    console.error(err.message);
+    process.exit(1);
+});
+
+async function writeOut(out) {
+    if (!out || stdoutClosed) return;
+    // Respect backpressure so huge inputs don't pile up in memory
+    if (!process.stdout.write(out)) {
+        await new Promise(resolve => {
+            const done = () => {
+                process.stdout.off('drain', done);
+                process.stdout.off('error', done);
+                resolve();
+            };
+            process.stdout.once('drain', done);
+            process.stdout.once('error', done);
+        });
+    }
+}
+
+async function segmentInput(segmenter, input, options) {
+    const formatter = createFormatter(segmenter, options);
+    // `raw` also covers zero-width characters dropped before the token, so
+    // the raw parts of a line add up to the input line
+    const segmentFn = (piece) => {
+        let prevEnd = 0;
+        return segmenter.segmentWithOffsets(piece, options.disablePostProcessing).tokens.map(t => {
+            const raw = piece.slice(prevEnd, t.end);
+            prevEnd = t.end;
+            return { ...t, raw };
+        });
+    };
+
+    for await (const tokens of segmentChunks(input, segmentFn)) {
+        await writeOut(formatter.write(tokens));
+        if (stdoutClosed) return;
+    }
+    await writeOut(formatter.end());
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                separator: { type: 'string', short: 's', default: ' ' },
+                format: { type: 'string', short: 'f', default: 'text' },
+                'no-post-processing': { type: 'boolean', default: false },
+                'user-dict': { type: 'string' },
+                raw: { type: 'boolean', default: false },
+                model: { type: 'string', default: 'unigram' },
+                bigrams: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!['text', 'json', 'tsv'].includes(values.format)) {
+        console.error(`Unknown format '${values.format}'\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    if (!['unigram', 'bigram'].includes(values.model)) {
+        console.error(`Unknown model '${values.model}'\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (values.model === 'bigram' && !values.bigrams) {
+        console.error(`--model bigram needs --bigrams <file>; write one with tools/train_frequencies.js --bigrams\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    const segmenter = await loadSegmenter({
+        raw: values.raw,
+        userDictionary: values['user-dict'],
+        ...(values.bigrams && { bigrams: values.bigrams }),
+        segmenterOptions: { languageModel: values.model }
+    });
+
+    const options = {
+        format: values.format,
+        separator: unescapeSeparator(values.separator),
+        disablePostProcessing: values['no-post-processing']
+    };
+
+    const inputs = positionals.length > 0 ? positionals : ['-'];
+    for (const file of inputs) {
+        const input = file === '-'
+            ? process.stdin.setEncoding('utf8')
+            : createReadStream(file, { encoding: 'utf8' });
+        await segmentInput(segmenter, input, options);
+        if (stdoutClosed) break;
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,130 @@
+// Precompiled Dictionary Bundle
+// Binary form of a loaded KhmerSegmenter dictionary: the word list with its
+// coeng variants already generated and filtered, and the frequency counts.
+// Built by tools/build_bundle.js (`npm install` runs it); loading it skips
+// the text parsing and _generateVariants each worker would otherwise
+// repeat. Counts are stored raw and turned into costs on load, so the
+// loading segmenter's minFreqFloor applies.
+//
+// Layout (little-endian):
+//   0   u32  magic 'KSEG'
+//   4   u32  version
+//   8   u32  maxWordLength
+//   12  u32  wordCount
+//   16  u32  charCount
+//   20  u32  entryCount
+//   64  f64[wordCount]        count per word (NaN = not in the frequency file)
+//   ..  f64[entryCount]       count of every frequency file entry, for the
+//                             total
+//   ..  u32[wordCount + 1]    start of each word in chars
+//   ..  u16[charCount]        UTF-16 code units of all words
+//   ..  u8[wordCount]         flags (bit 0: word is in the dictionary,
+//                             bit 1: only as a generated coeng variant)
+//
+// Entries without the dictionary flag are frequency-only words: they have a
+// count but are not matched until added with addWord().
+
+export const BUNDLE_MAGIC = 0x4745534B; // 'KSEG'
+export const BUNDLE_VERSION = 3;
+
+const HEADER_SIZE = 64;
+const FLAG_IN_DICTIONARY = 1;
+const FLAG_GENERATED_VARIANT = 2;
+
+function layout(wordCount, charCount, entryCount) {
+    const countsOffset = HEADER_SIZE;
+    const entryCountsOffset = countsOffset + wordCount * 8;
+    const offsetsOffset = entryCountsOffset + entryCount * 8;
+    const charsOffset = offsetsOffset + (wordCount + 1) * 4;
+    const flagsOffset = charsOffset + charCount * 2;
+    return { countsOffset, entryCountsOffset, offsetsOffset, charsOffset, flagsOffset, byteLength: flagsOffset + wordCount };
+}
+
+// `segmenter` must be loaded from the raw files, which keep the counts
+export function encodeBundle(segmenter) {
+    const wordCounts = segmenter.frequencyCounts || {};
+    const entryCounts = segmenter.entryCounts || [];
+    const list = [...new Set([...segmenter.words, ...Object.keys(wordCounts)])];
+    const charCount = list.reduce((sum, word) => sum + word.length, 0);
+    const l = layout(list.length, charCount, entryCounts.length);
+
+    const buffer = new ArrayBuffer(l.byteLength);
+    const view = new DataView(buffer);
+    view.setUint32(0, BUNDLE_MAGIC, true);
+    view.setUint32(4, BUNDLE_VERSION, true);
+    view.setUint32(8, segmenter.maxWordLength, true);
+    view.setUint32(12, list.length, true);
+    view.setUint32(16, charCount, true);
+    view.setUint32(20, entryCounts.length, true);
+
+    new Float64Array(buffer, l.entryCountsOffset, entryCounts.length).set(entryCounts);
+    const counts = new Float64Array(buffer, l.countsOffset, list.length);
+    const offsets = new Uint32Array(buffer, l.offsetsOffset, list.length + 1);
+    const chars = new Uint16Array(buffer, l.charsOffset, charCount);
+    const flags = new Uint8Array(buffer, l.flagsOffset, list.length);
+
+    let pos = 0;
+    list.forEach((word, idx) => {
+        offsets[idx] = pos;
+        for (let k = 0; k < word.length; k++) {
+            chars[pos++] = word.charCodeAt(k);
+        }
+        counts[idx] = word in wordCounts ? wordCounts[word] : NaN;
+        flags[idx] = (segmenter.words.has(word) ? FLAG_IN_DICTIONARY : 0) |
+            (segmenter.generatedVariants.has(word) ? FLAG_GENERATED_VARIANT : 0);
+    });
+    offsets[list.length] = pos;
+
+    return buffer;
+}
+
+// Accepts an ArrayBuffer or SharedArrayBuffer. Throws on a foreign or
+// outdated file so callers can fall back to the raw data files.
+export function decodeBundle(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < HEADER_SIZE || view.getUint32(0, true) !== BUNDLE_MAGIC) {
+        throw new Error("Not a dictionary bundle");
+    }
+    const version = view.getUint32(4, true);
+    if (version !== BUNDLE_VERSION) {
+        throw new Error(`Unsupported dictionary bundle version ${version}`);
+    }
+
+    const wordCount = view.getUint32(12, true);
+    const charCount = view.getUint32(16, true);
+    const entryCount = view.getUint32(20, true);
+    const l = layout(wordCount, charCount, entryCount);
+    if (buffer.byteLength < l.byteLength) {
+        throw new Error("Truncated dictionary bundle");
+    }
+
+    const counts = new Float64Array(buffer, l.countsOffset, wordCount);
+    const entryCounts = new Float64Array(buffer, l.entryCountsOffset, entryCount);
+    const offsets = new Uint32Array(buffer, l.offsetsOffset, wordCount + 1);
+    const flags = new Uint8Array(buffer, l.flagsOffset, wordCount);
+
+    // TextDecoder refuses shared memory, so decode from a private copy
+    let charBytes = new Uint8Array(buffer, l.charsOffset, charCount * 2);
+    if (typeof SharedArrayBuffer !== 'undefined' && buffer instanceof SharedArrayBuffer) {
+        charBytes = charBytes.slice();
+    }
+    const allChars = new TextDecoder('utf-16le').decode(charBytes);
+
+    const words = new Array(wordCount);
+    const inDictionary = new Array(wordCount);
+    const generatedVariant = new Array(wordCount);
+    for (let idx = 0; idx < wordCount; idx++) {
+        words[idx] = allChars.slice(offsets[idx], offsets[idx + 1]);
+        inDictionary[idx] = (flags[idx] & FLAG_IN_DICTIONARY) !== 0;
+        generatedVariant[idx] = (flags[idx] & FLAG_GENERATED_VARIANT) !== 0;
+    }
+
+    return {
+        words,
+        inDictionary,
+        generatedVariant,
+        counts,
+        entryCounts,
+        maxWordLength: view.getUint32(8, true)
+    };
+}
@@ -0,0 +1,288 @@
+// Document Import/Export
+// Extracts plain text from .txt, .srt, .html and .docx files for
+// segmentation, and writes the same container back with ZWSP inserted at
+// the word boundaries.
+//
+// An imported document is { format, name, text, pieces, ... }. `text` is
+// what goes into the editor; each piece is a [start, end) range of it that
+// maps to one place in the container (a subtitle cue, an HTML text node, a
+// docx <w:t> run). Text outside the pieces is structure only (line breaks
+// between paragraphs, tabs) and is never rewritten.
+//
+// HTML and docx parsing needs DOMParser, so those two are browser only.
+
+import { readZip, writeZip } from './zip.js';
+
+const ZWSP = '\u200b';
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+export const IMPORT_ACCEPT = '.txt,.srt,.html,.htm,.docx';
+
+class TextBuilder {
+    constructor() {
+        this.text = '';
+        this.pieces = [];
+    }
+
+    add(str, ref = null) {
+        if (ref !== null) {
+            this.pieces.push({ start: this.text.length, end: this.text.length + str.length, ref });
+        }
+        this.text += str;
+    }
+
+    // Ends the current line unless already at the start of one
+    lineBreak() {
+        if (this.text && !this.text.endsWith('\n')) this.text += '\n';
+    }
+
+    atLineStart() {
+        return this.text === '' || /[\n ]$/.test(this.text);
+    }
+}
+
+function detectEol(text) {
+    return text.includes('\r\n') ? '\r\n' : '\n';
+}
+
+function toLf(text) {
+    return text.replace(/^\ufeff/, '').replace(/\r\n?/g, '\n');
+}
+
+// --- Plain text ---
+
+const txt = {
+    extension: 'txt',
+    mime: 'text/plain',
+
+    async parse(file) {
+        const content = await file.text();
+        const text = toLf(content);
+        return { text, pieces: [{ start: 0, end: text.length, ref: null }], eol: detectEol(content) };
+    },
+
+    async build(doc, outputs) {
+        return outputs[0].replace(/\n/g, doc.eol);
+    }
+};
+
+// --- SubRip subtitles ---
+// The editor shows the cue texts separated by blank lines; numbering and
+// timing are kept aside and written back unchanged.
+
+const srt = {
+    extension: 'srt',
+    mime: 'application/x-subrip',
+
+    async parse(file) {
+        const content = await file.text();
+        const builder = new TextBuilder();
+
+        for (const block of toLf(content).split(/\n{2,}/)) {
+            const lines = block.split('\n');
+            const timing = lines.findIndex(line => line.includes('-->'));
+            if (timing === -1) continue;
+
+            if (builder.pieces.length > 0) builder.add('\n\n');
+            const cue = { header: lines.slice(0, timing + 1).join('\n') };
+            // The last cue keeps the file's final newline; build adds it back
+            builder.add(lines.slice(timing + 1).join('\n').replace(/\n+$/, ''), cue);
+        }
+        return { text: builder.text, pieces: builder.pieces, eol: detectEol(content) };
+    },
+
+    async build(doc, outputs) {
+        const blocks = doc.pieces.map((piece, i) => `${piece.ref.header}\n${outputs[i]}`);
+        return (blocks.join('\n\n') + '\n').replace(/\n/g, doc.eol);
+    }
+};
+
+// --- HTML ---
+// Text nodes of <body>, with whitespace collapsed the way it renders.
+// Block elements and <br> end lines.
+
+const HTML_BLOCKS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION',
+    'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI',
+    'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TD', 'TH', 'TR', 'UL'
+]);
+const HTML_SKIPPED = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA']);
+
+function walkHtml(node, builder, inPre) {
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 3) { // Text
+            let value = child.nodeValue;
+            if (!inPre) {
+                value = value.replace(/[ \t\n\r\f]+/g, ' ');
+                if (builder.atLineStart()) value = value.replace(/^ /, '');
+            }
+            if (/^\s*$/.test(value)) {
+                // Formatting whitespace: kept in the document, not a piece
+                if (value) builder.add(value);
+                continue;
+            }
+            builder.add(value, child);
+        } else if (child.nodeType === 1) { // Element
+            const tag = child.tagName.toUpperCase();
+            if (HTML_SKIPPED.has(tag)) continue;
+            if (tag === 'BR') {
+                builder.add('\n');
+                continue;
+            }
+            const block = HTML_BLOCKS.has(tag);
+            if (block) builder.lineBreak();
+            walkHtml(child, builder, inPre || tag === 'PRE');
+            if (block) builder.lineBreak();
+        }
+    }
+}
+
+const html = {
+    extension: 'html',
+    mime: 'text/html',
+
+    async parse(file) {
+        const dom = new DOMParser().parseFromString(await file.text(), 'text/html');
+        const builder = new TextBuilder();
+        walkHtml(dom.body, builder, false);
+        return { text: builder.text.replace(/\n+$/, ''), pieces: builder.pieces, dom };
+    },
+
+    async build(doc, outputs) {
+        doc.pieces.forEach((piece, i) => {
+            piece.ref.nodeValue = outputs[i];
+        });
+        const doctype = doc.dom.doctype ? new XMLSerializer().serializeToString(doc.dom.doctype) + '\n' : '';
+        return doctype + doc.dom.documentElement.outerHTML;
+    }
+};
+
+// --- Word (.docx) ---
+// The body text lives in word/document.xml: paragraphs <w:p> hold runs
+// whose text is in <w:t>. Separators go into the <w:t> elements, so run
+// formatting is untouched.
+
+function walkDocx(node, builder, state) {
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType !== 1) continue;
+        if (child.namespaceURI !== W_NS) {
+            walkDocx(child, builder, state);
+            continue;
+        }
+        switch (child.localName) {
+            case 't':
+                builder.add(child.textContent, child);
+                break;
+            case 'tab':
+                builder.add('\t');
+                break;
+            case 'br':
+            case 'cr':
+                builder.add('\n');
+                break;
+            case 'p':
+                // Empty paragraphs still count as lines
+                if (state.paragraphs++ > 0) builder.add('\n');
+                walkDocx(child, builder, state);
+                break;
+            default:
+                walkDocx(child, builder, state);
+        }
+    }
+}
+
+const docx = {
+    extension: 'docx',
+    mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+
+    async parse(file) {
+        const entries = await readZip(await file.arrayBuffer());
+        const main = entries.find(entry => entry.name === 'word/document.xml');
+        if (!main) throw new Error("Not a Word document: word/document.xml is missing");
+
+        const source = new TextDecoder().decode(main.data);
+        const xml = new DOMParser().parseFromString(source, 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error("word/document.xml is not well-formed");
+        }
+
+        const builder = new TextBuilder();
+        walkDocx(xml.documentElement, builder, { paragraphs: 0 });
+        const declaration = (source.match(/^<\?xml[^>]*\?>/) || [''])[0];
+        return { text: builder.text, pieces: builder.pieces, entries, main, xml, declaration };
+    },
+
+    async build(doc, outputs) {
+        doc.pieces.forEach((piece, i) => {
+            piece.ref.textContent = outputs[i];
+        });
+        let source = new XMLSerializer().serializeToString(doc.xml);
+        if (doc.declaration && !source.startsWith('<?xml')) source = doc.declaration + '\n' + source;
+
+        const encoded = new TextEncoder().encode(source);
+        const entries = doc.entries.map(entry => entry === doc.main ? { name: entry.name, data: encoded } : entry);
+        return writeZip(entries);
+    }
+};
+
+export const DOCUMENT_FORMATS = { txt, srt, html, docx };
+
+export function formatOf(filename) {
+    const ext = filename.toLowerCase().split('.').pop();
+    if (ext === 'htm') return 'html';
+    return Object.hasOwn(DOCUMENT_FORMATS, ext) ? ext : null;
+}
+
+export async function importDocument(file) {
+    const format = formatOf(file.name);
+    if (!format) throw new Error(`Unsupported file type: ${file.name}`);
+    const parsed = await DOCUMENT_FORMATS[format].parse(file);
+    return { format, name: file.name, ...parsed };
+}
+
+// Offsets where two adjacent words meet directly (no whitespace between)
+export function wordBoundaries(tokens) {
+    const boundaries = [];
+    for (let i = 1; i < tokens.length; i++) {
+        const prev = tokens[i - 1];
+        const next = tokens[i];
+        if (prev.end === next.start && !/^\s*$/.test(prev.word) && !/^\s*$/.test(next.word)) {
+            boundaries.push(prev.end);
+        }
+    }
+    return boundaries;
+}
+
+// Piece text with `separator` at each boundary in (start, end]. A boundary
+// at a piece edge belongs to the piece it ends.
+function insertSeparators(text, piece, boundaries, separator) {
+    let lo = 0;
+    let hi = boundaries.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (boundaries[mid] <= piece.start) lo = mid + 1;
+        else hi = mid;
+    }
+
+    let out = '';
+    let pos = piece.start;
+    for (let i = lo; i < boundaries.length && boundaries[i] <= piece.end; i++) {
+        out += text.slice(pos, boundaries[i]) + separator;
+        pos = boundaries[i];
+    }
+    return out + text.slice(pos, piece.end);
+}
+
+// Rebuilds the document with separators inserted. `tokens` is the
+// segmentation of doc.text. Returns a Blob in the original format.
+export async function exportDocument(doc, tokens, separator = ZWSP) {
+    const boundaries = wordBoundaries(tokens);
+    const outputs = doc.pieces.map(piece => insertSeparators(doc.text, piece, boundaries, separator));
+    const format = DOCUMENT_FORMATS[doc.format];
+    return new Blob([await format.build(doc, outputs)], { type: format.mime });
+}
+
+export function exportFilename(doc) {
+    const base = doc.name.replace(/\.[^.]*$/, '');
+    return `${base}.segmented.${DOCUMENT_FORMATS[doc.format].extension}`;
+}
@@ -0,0 +1,139 @@
+// Evaluation
+// Scores KhmerSegmenter output against a gold-segmented corpus: one
+// sentence per line, words separated by spaces or ZWSP. Each line is
+// joined back into unsegmented text, segmented, and the predicted word
+// boundaries are compared with the gold ones (by offset into that text,
+// so normalization does not shift them).
+//
+// Reported: boundary precision/recall/F1, the OOV rate of the gold words
+// (words the segmenter would flag as unknown) and how many of them were
+// recovered intact, and the most frequent over-segmentations (a gold word
+// split up) and under-segmentations (gold words glued together).
+
+// Gold lines as arrays of words; blank lines are skipped
+export function parseGold(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.split(/[\s\u200b]+/).filter(Boolean))
+        .filter(words => words.length > 0);
+}
+
+// Offsets between consecutive words, excluding the two ends
+function goldBoundaries(words) {
+    const boundaries = [];
+    let pos = 0;
+    for (let k = 0; k < words.length - 1; k++) {
+        pos += words[k].length;
+        boundaries.push(pos);
+    }
+    return boundaries;
+}
+
+function ratio(a, b) {
+    return b > 0 ? a / b : 0;
+}
+
+function countInto(map, key) {
+    map.set(key, (map.get(key) || 0) + 1);
+}
+
+function topCounts(map, limit) {
+    return [...map]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([key, count]) => {
+            const [gold, predicted] = key.split('\t');
+            return { gold, predicted, count };
+        });
+}
+
+// options.disablePostProcessing - score raw Viterbi output
+// options.top - length of the confusion lists (default 20)
+export function evaluate(segmenter, goldText, options = {}) {
+    const { disablePostProcessing = false, top = 20 } = options;
+    const sentences = parseGold(goldText);
+
+    let tp = 0, fp = 0, fn = 0;
+    let goldWords = 0, predictedWords = 0;
+    let oov = 0, oovRecovered = 0, recovered = 0;
+    const over = new Map(); // "gold\tpieces" -> count
+    const under = new Map(); // "words\tmerged" -> count
+
+    for (const words of sentences) {
+        const text = words.join('');
+        const tokens = segmenter.segmentWithOffsets(text, disablePostProcessing).tokens;
+
+        const gold = goldBoundaries(words);
+        const goldSet = new Set(gold);
+        const predicted = tokens.slice(1).map(t => t.start).filter(b => b > 0 && b < text.length);
+        const predictedSet = new Set(predicted);
+
+        for (const b of predictedSet) {
+            if (goldSet.has(b)) tp++;
+            else fp++;
+        }
+        for (const b of goldSet) {
+            if (!predictedSet.has(b)) fn++;
+        }
+        goldWords += words.length;
+        predictedWords += tokens.length;
+
+        // Gold words: intact, or split by predicted boundaries
+        let start = 0;
+        for (const word of words) {
+            const end = start + word.length;
+            const inside = predicted.filter(b => b > start && b < end);
+            const intact = inside.length === 0 &&
+                (start === 0 || predictedSet.has(start)) &&
+                (end === text.length || predictedSet.has(end));
+
+            const isOov = segmenter.isUnknown(segmenter.normalizer.normalize(word));
+            if (isOov) oov++;
+            if (intact) {
+                recovered++;
+                if (isOov) oovRecovered++;
+            }
+            if (inside.length > 0) {
+                const cuts = [start, ...inside, end];
+                const pieces = cuts.slice(1).map((cut, k) => text.slice(cuts[k], cut));
+                countInto(over, `${word}\t${pieces.join(' ')}`);
+            }
+            start = end;
+        }
+
+        // Predicted tokens spanning several gold words
+        for (const token of tokens) {
+            const inside = gold.filter(b => b > token.start && b < token.end);
+            if (inside.length === 0) continue;
+            const cuts = [token.start, ...inside, token.end];
+            const pieces = cuts.slice(1).map((cut, k) => text.slice(cuts[k], cut));
+            countInto(under, `${pieces.join(' ')}\t${text.slice(token.start, token.end)}`);
+        }
+    }
+
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+    return {
+        sentences: sentences.length,
+        goldWords,
+        predictedWords,
+        boundaries: {
+            tp, fp, fn,
+            precision,
+            recall,
+            f1: ratio(2 * precision * recall, precision + recall)
+        },
+        wordRecall: ratio(recovered, goldWords),
+        oovRate: ratio(oov, goldWords),
+        oovRecall: ratio(oovRecovered, oov),
+        overSegmentations: topCounts(over, top),
+        underSegmentations: topCounts(under, top)
+    };
+}
+
+// Raw Viterbi against rule post-processed output on the same corpus
+export function compareModes(segmenter, goldText, options = {}) {
+    return {
+        raw: evaluate(segmenter, goldText, { ...options, disablePostProcessing: true }),
+        postProcessed: evaluate(segmenter, goldText, { ...options, disablePostProcessing: false })
+    };
+}
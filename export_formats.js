@@ -0,0 +1,140 @@
+// Export Formats
+// Serializes a segmentation result for download. Every builder takes the
+// segmented text and its tokens ({ word, isUnknown, start, end }, as
+// produced by WorkerPool.segment) and returns a string.
+//
+// Line break tokens mark paragraphs; all text formats keep them.
+
+const ZWSP = '\u200b';
+
+function isLineBreak(word) {
+    return /^(\r\n|\r|\n)$/.test(word);
+}
+
+function isSpace(word) {
+    return /^\s*$/.test(word);
+}
+
+function isSentenceEnd(word) {
+    // ។ ៕ and Latin sentence punctuation
+    return /^[។៕?!]+$/.test(word);
+}
+
+// Tokens at the chosen granularity: 'coarse' keeps them as segmented,
+// 'fine' replaces each compound by its parts (tokens segmented with the
+// decompose option carry them, see KhmerSegmenter.decompose)
+export function atGranularity(tokens, granularity) {
+    if (granularity !== 'fine') return tokens;
+    return tokens.flatMap(token => token.parts
+        ? token.parts.map(part => ({ ...part, isUnknown: false }))
+        : [token]);
+}
+
+// Tokens grouped by line, without the line break tokens
+export function splitParagraphs(tokens) {
+    const paragraphs = [[]];
+    for (const token of tokens) {
+        if (isLineBreak(token.word)) paragraphs.push([]);
+        else paragraphs[paragraphs.length - 1].push(token);
+    }
+    return paragraphs;
+}
+
+// Words separated by ZWSP; existing whitespace is kept as is, so the text
+// reads the same but can be wrapped at word boundaries.
+export function toZwspText(text, tokens) {
+    return splitParagraphs(tokens).map(line => {
+        let out = '';
+        let prevWord = false;
+        for (const token of line) {
+            const word = !isSpace(token.word);
+            if (word && prevWord) out += ZWSP;
+            out += token.word;
+            prevWord = word;
+        }
+        return out;
+    }).join('\n');
+}
+
+// Words separated by single spaces
+export function toSpaceSeparated(text, tokens) {
+    return splitParagraphs(tokens)
+        .map(line => line.filter(t => !isSpace(t.word)).map(t => t.word).join(' '))
+        .join('\n');
+}
+
+export function toJson(text, tokens) {
+    return JSON.stringify({
+        text,
+        tokens: tokens.map(t => ({
+            text: t.word,
+            start: t.start,
+            end: t.end,
+            isUnknown: t.isUnknown
+        }))
+    }, null, 2);
+}
+
+// CoNLL-U, one token per line. Sentences end after ។ ៕ ? ! or at a line
+// break; each paragraph starts with a `# newpar` comment. Only ID, FORM and
+// MISC are filled: SpaceAfter=No where the next token follows directly, and
+// Unknown=Yes for words not in the dictionary.
+export function toConllu(text, tokens) {
+    const out = [];
+    let sentId = 0;
+
+    const writeSentence = (sentence, newPar) => {
+        const words = sentence.filter(t => !isSpace(t.word));
+        if (words.length === 0) return false;
+
+        out.push(...(newPar ? ['# newpar'] : []),
+            `# sent_id = ${++sentId}`,
+            `# text = ${text.slice(words[0].start, words[words.length - 1].end)}`);
+        words.forEach((t, i) => {
+            const misc = [];
+            if (i + 1 < words.length && words[i + 1].start === t.end) misc.push('SpaceAfter=No');
+            if (t.isUnknown) misc.push('Unknown=Yes');
+            out.push([i + 1, t.word, '_', '_', '_', '_', '_', '_', '_', misc.join('|') || '_'].join('\t'));
+        });
+        out.push('');
+        return true;
+    };
+
+    for (const line of splitParagraphs(tokens)) {
+        let sentence = [];
+        let newPar = true;
+        for (const token of line) {
+            sentence.push(token);
+            if (isSentenceEnd(token.word)) {
+                if (writeSentence(sentence, newPar)) newPar = false;
+                sentence = [];
+            }
+        }
+        writeSentence(sentence, newPar);
+    }
+    return out.join('\n');
+}
+
+export function csvField(value) {
+    const s = String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Unknown words with their number of occurrences, most frequent first.
+// Starts with a BOM so spreadsheet programs read it as UTF-8.
+export function toUnknownCsv(text, tokens) {
+    const counts = new Map();
+    for (const t of tokens) {
+        if (t.isUnknown) counts.set(t.word, (counts.get(t.word) || 0) + 1);
+    }
+    const rows = [...counts].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1));
+    return '\ufeff' + ['word,count', ...rows.map(([word, count]) => `${csvField(word)},${count}`)].join('\r\n') + '\r\n';
+}
+
+export const EXPORT_FORMATS = {
+    zwsp: { label: 'Text (ZWSP)', extension: 'txt', mime: 'text/plain', build: toZwspText },
+    space: { label: 'Text (spaces)', extension: 'txt', mime: 'text/plain', build: toSpaceSeparated },
+    json: { label: 'JSON', extension: 'json', mime: 'application/json', build: toJson },
+    conllu: { label: 'CoNLL-U', extension: 'conllu', mime: 'text/plain', build: toConllu },
+    unknown: { label: 'Unknown words (CSV)', extension: 'csv', mime: 'text/csv', build: toUnknownCsv }
+};
@@ -0,0 +1,204 @@
+// Frequency Training
+// Builds word counts in the khmer_word_frequencies.json format (word -> raw
+// count, consumed by KhmerSegmenter._loadFrequencies) from segmented
+// corpora: one sentence per line, words separated by spaces or ZWSP, the
+// same format evaluation.js reads as gold.
+//
+// Optionally also counts bigrams, stored as { prev: { word: count } }.
+// BOUNDARY stands for the start of a sentence; tokens that are not words
+// (punctuation, digits, Latin text) are left out of the counts and reset
+// the context to BOUNDARY as well.
+
+import { KhmerNormalizer } from './normalization.js';
+import { parseGold } from './evaluation.js';
+
+export const BOUNDARY = '<s>';
+
+// A token counts as a word if it contains a Khmer consonant or
+// independent vowel
+const KHMER_LETTER = /[\u1780-\u17B3]/;
+
+function add(map, key, count) {
+    map.set(key, (map.get(key) || 0) + count);
+}
+
+// Returns { unigrams: Map, bigrams: Map<prev, Map<word, count>> | null,
+// sentences, tokens }. Words are normalized with KhmerNormalizer unless
+// options.normalize is false, matching how the segmenter looks them up.
+export function countCorpus(text, options = {}) {
+    const { normalize = true, bigrams = false } = options;
+    const normalizer = normalize ? new KhmerNormalizer() : null;
+
+    const unigrams = new Map();
+    const pairs = bigrams ? new Map() : null;
+    let sentences = 0;
+    let tokens = 0;
+
+    for (const line of parseGold(text)) {
+        sentences++;
+        let prev = BOUNDARY;
+        for (let word of line) {
+            if (normalizer) word = normalizer.normalize(word);
+            if (!KHMER_LETTER.test(word)) {
+                prev = BOUNDARY;
+                continue;
+            }
+            tokens++;
+            add(unigrams, word, 1);
+            if (pairs) {
+                if (!pairs.has(prev)) pairs.set(prev, new Map());
+                add(pairs.get(prev), word, 1);
+            }
+            prev = word;
+        }
+    }
+    return { unigrams, bigrams: pairs, sentences, tokens };
+}
+
+// Adds `extra` counts into `base` (both Maps), scaled by weight. Returns base.
+export function mergeCounts(base, extra, weight = 1) {
+    for (const [word, count] of extra) add(base, word, count * weight);
+    return base;
+}
+
+export function mergeBigrams(base, extra, weight = 1) {
+    for (const [prev, next] of extra) {
+        if (!base.has(prev)) base.set(prev, new Map());
+        mergeCounts(base.get(prev), next, weight);
+    }
+    return base;
+}
+
+export const SMOOTHING_METHODS = ['none', 'add-k', 'good-turing'];
+
+// N(r): how many entries were seen exactly r times
+function countOfCounts(values) {
+    const counts = new Map();
+    for (const count of values) {
+        if (Number.isInteger(count)) add(counts, count, 1);
+    }
+    return counts;
+}
+
+function smoother(method, options, allCounts) {
+    if (method === 'none') return (r) => r;
+
+    if (method === 'add-k') {
+        const k = options.k ?? 1;
+        return (r) => r + k;
+    }
+
+    if (method === 'good-turing') {
+        const threshold = options.k ?? 5;
+        const n = countOfCounts(allCounts());
+        // r* for each integer count below the threshold. Without both N(r)
+        // and N(r+1) the estimate is undefined, and with sparse N(r) it can
+        // reach r+1 or more; both keep r. Each r* is at least the one
+        // before, so a rarer word never ends up with the higher count.
+        const adjusted = new Map();
+        let floor = 0;
+        for (let r = 1; r < threshold; r++) {
+            let estimate = n.get(r) && n.get(r + 1) ? (r + 1) * n.get(r + 1) / n.get(r) : r;
+            if (estimate >= r + 1) estimate = r;
+            floor = Math.max(floor, estimate);
+            adjusted.set(r, floor);
+        }
+        return (r) => adjusted.get(r) ?? r;
+    }
+
+    throw new Error(`Unknown smoothing method "${method}" (expected ${SMOOTHING_METHODS.join(', ')})`);
+}
+
+// Returns a new Map of adjusted counts.
+//   add-k: every count + k (options.k, default 1). Only words in the
+//     counts are adjusted: this evens out rare counts, but gives nothing
+//     to unseen words, which the segmenter costs with minFreqFloor and
+//     unknownPenalty instead
+//   good-turing: counts below options.k (default 5) are replaced by
+//     r* = (r + 1) * N(r+1) / N(r), where N(r) is the number of words seen
+//     exactly r times, kept below r + 1 and non-decreasing in r; higher
+//     counts are reliable and kept as they are
+export function smoothCounts(counts, method = 'none', options = {}) {
+    const adjust = smoother(method, options, () => counts.values());
+    return new Map([...counts].map(([word, count]) => [word, adjust(count)]));
+}
+
+// Same methods; for good-turing, N(r) is taken over all pairs
+export function smoothBigrams(bigrams, method = 'none', options = {}) {
+    const adjust = smoother(method, options, function* () {
+        for (const next of bigrams.values()) yield* next.values();
+    });
+    const smoothed = new Map();
+    for (const [prev, next] of bigrams) {
+        smoothed.set(prev, new Map([...next].map(([word, count]) => [word, adjust(count)])));
+    }
+    return smoothed;
+}
+
+// Drops words counted less than minCount, then keeps the maxWords most
+// frequent. Returns a new Map.
+export function pruneCounts(counts, options = {}) {
+    const { minCount = 0, maxWords = Infinity } = options;
+    const kept = [...counts]
+        .filter(([, count]) => count >= minCount)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, maxWords);
+    return new Map(kept);
+}
+
+// Drops pairs counted less than minCount and, when a vocabulary (Map or
+// Set of words) is given, pairs whose words are not in it.
+export function pruneBigrams(bigrams, options = {}) {
+    const { minCount = 0, vocabulary = null } = options;
+    const known = (word) => !vocabulary || vocabulary.has(word);
+    const pruned = new Map();
+    for (const [prev, next] of bigrams) {
+        if (prev !== BOUNDARY && !known(prev)) continue;
+        const kept = new Map([...next].filter(([word, count]) => count >= minCount && known(word)));
+        if (kept.size > 0) pruned.set(prev, kept);
+    }
+    return pruned;
+}
+
+// Counts are rounded to two decimals; smoothing can leave fractions
+function round(count) {
+    return Math.round(count * 100) / 100;
+}
+
+// Plain object, most frequent first, as stored in khmer_word_frequencies.json
+export function countsToJson(counts) {
+    const out = {};
+    for (const [word, count] of [...counts].sort((a, b) => b[1] - a[1])) {
+        out[word] = round(count);
+    }
+    return out;
+}
+
+// options.normalize: normalize the words with KhmerNormalizer, as
+// countCorpus does, so that merged files and corpus counts share keys.
+// Words that become equal have their counts added.
+export function countsFromJson(data, options = {}) {
+    const normalizer = options.normalize ? new KhmerNormalizer() : null;
+    const counts = new Map();
+    for (const [word, count] of Object.entries(data)) {
+        const key = normalizer ? normalizer.normalize(word) : word.replace(/[\u200b\u200c\u200d]/g, '');
+        add(counts, key, count);
+    }
+    return counts;
+}
+
+export function bigramsToJson(bigrams) {
+    const out = {};
+    for (const [prev, next] of bigrams) out[prev] = countsToJson(next);
+    return out;
+}
+
+export function bigramsFromJson(data, options = {}) {
+    const normalizer = options.normalize ? new KhmerNormalizer() : null;
+    const bigrams = new Map();
+    for (const [prev, next] of Object.entries(data)) {
+        const key = normalizer && prev !== BOUNDARY ? normalizer.normalize(prev) : prev;
+        mergeBigrams(bigrams, new Map([[key, countsFromJson(next, options)]]));
+    }
+    return bigrams;
+}
@@ -0,0 +1,78 @@
+// Line Diff
+// Incremental re-segmentation for the editor: finds the run of lines that
+// changed between two versions of a text and splices freshly segmented
+// tokens for it into the previous result. Tokens never cross a line break,
+// so tokens outside the run stay valid; the ones after it only move.
+
+// Splits text into lines, each keeping its own line break
+function splitLineUnits(text) {
+    return text.match(/[^\r\n]*(\r\n|\r|\n)|[^\r\n]+$/g) || [];
+}
+
+// Smallest run of whole lines that differs between two texts, as
+// [start, end) offsets in each. Null if the texts are equal.
+export function diffLines(oldText, newText) {
+    if (oldText === newText) return null;
+
+    const a = splitLineUnits(oldText);
+    const b = splitLineUnits(newText);
+
+    let prefix = 0;
+    let prefixLen = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefixLen += a[prefix].length;
+        prefix++;
+    }
+
+    let suffix = 0;
+    let suffixLen = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+        suffixLen += a[a.length - 1 - suffix].length;
+        suffix++;
+    }
+
+    return {
+        oldStart: prefixLen,
+        oldEnd: oldText.length - suffixLen,
+        newStart: prefixLen,
+        newEnd: newText.length - suffixLen
+    };
+}
+
+// First index in tokens whose start is >= offset
+export function tokenIndexAt(tokens, offset) {
+    let lo = 0;
+    let hi = tokens.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (tokens[mid].start < offset) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// Tokens of the new text: `prevTokens` with those of the changed run
+// replaced by `fresh` (segmented from the changed run alone, so with offsets
+// relative to it). Moves the fresh and trailing tokens in place.
+export function spliceTokens(prevTokens, diff, fresh) {
+    for (const token of fresh) moveToken(token, diff.newStart);
+
+    const first = tokenIndexAt(prevTokens, diff.oldStart);
+    const last = tokenIndexAt(prevTokens, diff.oldEnd);
+    const delta = diff.newEnd - diff.oldEnd;
+    const tail = prevTokens.slice(last);
+    for (const token of tail) moveToken(token, delta);
+
+    return prevTokens.slice(0, first).concat(fresh, tail);
+}
+
+// Shifts a token, and its compound parts, in place
+function moveToken(token, delta) {
+    token.start += delta;
+    token.end += delta;
+    for (const part of token.parts || []) {
+        part.start += delta;
+        part.end += delta;
+    }
+}
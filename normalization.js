@@ -1,6 +1,44 @@
 
+// Khmer Normalization
+// Brings text to one canonical spelling so that dictionary lookups match
+// however it was typed:
+//   1. zero-width characters (ZWSP, ZWNJ, ZWJ) are dropped
+//   2. deprecated codepoints are replaced, removed or kept (`deprecated`
+//      option), and caller-supplied variants are replaced (`variants`)
+//   3. the marks of each cluster are put in canonical order
+//   4. split vowels are combined (`composites`), every occurrence
+// normalization_conformance.js lists the expected input -> output pairs.
+
+// Split vowels and the single character they should be written as
+export const COMPOSITES = {
+    '\u17C1\u17B8': '\u17BE', // E + II -> OE
+    '\u17C1\u17B6': '\u17C4' // E + AA -> OO
+};
+
+// Deprecated or discouraged codepoints and what to write instead
+// (fix: null when there is no replacement)
+export const DEPRECATED_CHARS = {
+    '\u17A3': { fix: '\u17A2', note: 'use U+17A2 KHMER LETTER QA' },
+    '\u17A4': { fix: '\u17A2\u17B6', note: 'use U+17A2 QA + U+17B6 AA' },
+    '\u17B4': { fix: '', note: 'inherent vowel AQ is not written' },
+    '\u17B5': { fix: '', note: 'inherent vowel AA is not written' },
+    '\u17D3': { fix: null, note: 'use the lunar date symbols U+19E0..U+19FF' },
+    '\u17D8': { fix: '\u17D4\u179B\u17D4', note: 'write BEYYAL as U+17D4 LO U+17D4' }
+};
+
+export const DEPRECATED_MODES = ['replace', 'remove', 'keep'];
+
 export class KhmerNormalizer {
-    constructor() {
+    // options.deprecated: 'replace' (default) writes DEPRECATED_CHARS as
+    //   their fix, 'remove' drops them, 'keep' leaves them
+    // options.variants: { char: replacement } applied to every occurrence
+    // options.composites: extra or overriding COMPOSITES entries
+    constructor(options = {}) {
+        const { deprecated = 'replace', variants = {}, composites = {} } = options;
+        if (!DEPRECATED_MODES.includes(deprecated)) {
+            throw new Error(`Unknown deprecated mode "${deprecated}" (expected ${DEPRECATED_MODES.join(', ')})`);
+        }
+
         // Khmer Character Ranges
         this.CONSONANTS = new Set(this.range(0x1780, 0x17A3)); // Ka .. A
         this.INDEP_VOWELS = new Set(this.range(0x17A3, 0x17B4)); // In .. Au
@@ -11,12 +49,18 @@ export class KhmerNormalizer {
         this.RO = 0x179A;
 
         // Composite Vowels Map (Split components -> Combined)
-        // e.g. E (17C1) + I (17B8) -> OE (17BE)
-        // Storing as string keys for easy lookup
-        this.composites = {
-            '\u17C1\u17B8': '\u17BE',
-            '\u17C1\u17B6': '\u17C4', // E + AA -> AU
-        };
+        // e.g. E (17C1) + II (17B8) -> OE (17BE)
+        this.composites = { ...COMPOSITES, ...composites };
+
+        // Single chars -> replacement text ('' drops the char)
+        this.replacements = {};
+        if (deprecated !== 'keep') {
+            for (const [char, { fix }] of Object.entries(DEPRECATED_CHARS)) {
+                if (deprecated === 'remove') this.replacements[char] = '';
+                else if (fix !== null) this.replacements[char] = fix;
+            }
+        }
+        Object.assign(this.replacements, variants);
     }
 
     range(start, end) {
@@ -44,88 +88,166 @@ export class KhmerNormalizer {
     }
 
     normalize(text) {
-        if (!text) return "";
+        return this.normalizeWithOffsets(text).text;
+    }
 
-        // Step 0: Strip ZWS, ZWNJ, ZWJ
-        text = text.replace(/[\u200b\u200c\u200d]/g, '');
+    // Same pipeline as normalize(), but also returns, for every char of the
+    // normalized text, the [start, end) range it came from in the original.
+    normalizeWithOffsets(text) {
+        if (!text) return { text: "", starts: [], ends: [] };
 
-        // Step 1: Fix Composites
-        text = text.replace('\u17C1\u17B8', '\u17BE'); // e + i -> oe
-        text = text.replace('\u17C1\u17B6', '\u17C4'); // e + aa -> au
+        // Step 0: Strip ZWS, ZWNJ, ZWJ
+        // Step 1: Deprecated and variant codepoints. Every char of a
+        // replacement comes from the replaced char.
+        const chars = [];
+        const starts = [];
+        const ends = [];
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code >= 0x200B && code <= 0x200D) continue;
+            const replacement = this.replacements[text[i]];
+            for (const char of replacement ?? text[i]) {
+                chars.push(char);
+                starts.push(i);
+                ends.push(i + 1);
+            }
+        }
 
         // Step 2: Cluster processing
-        const result = [];
+        // A unit is a char (or coeng + consonant pair) plus the positions in
+        // `chars` it was built from, so offsets survive the reordering.
+        const order = [];
         let current_cluster = [];
 
         let i = 0;
-        const n = text.length;
+        const n = chars.length;
 
         while (i < n) {
-            const char = text[i];
+            const char = chars[i];
             const ctype = this._get_char_type(char);
 
             if (ctype === 'BASE') {
                 // Start of new cluster. Flush previous.
                 if (current_cluster.length > 0) {
-                    result.push(this._sort_cluster(current_cluster));
+                    this._flushCluster(current_cluster, order);
                     current_cluster = [];
                 }
-                current_cluster.push(char);
+                current_cluster.push({ text: char, pos: [i] });
                 i++;
             } else if (ctype === 'COENG') {
                 // Coeng consumes next char if valid consonant
                 if (i + 1 < n) {
-                    const next_char = text[i + 1];
+                    const next_char = chars[i + 1];
                     const next_type = this._get_char_type(next_char);
                     if (next_type === 'BASE') { // Consonants are BASE
                         // It is a subscript unit
-                        current_cluster.push(char + next_char);
+                        current_cluster.push({ text: char + next_char, pos: [i, i + 1] });
                         i += 2;
                         continue;
                     } else {
                         // Stray Coeng
-                        current_cluster.push(char);
+                        current_cluster.push({ text: char, pos: [i] });
                         i++;
                     }
                 } else {
                     // Trailing Coeng
-                    current_cluster.push(char);
+                    current_cluster.push({ text: char, pos: [i] });
                     i++;
                 }
             } else if (['VOWEL', 'SIGN', 'REGISTER'].includes(ctype)) {
                 // Append to current cluster if exists, else treat as isolated
                 if (current_cluster.length > 0) {
-                    current_cluster.push(char);
+                    current_cluster.push({ text: char, pos: [i] });
                 } else {
-                    result.push(char); // Isolated vowel/sign
+                    order.push(i); // Isolated vowel/sign
                 }
                 i++;
             } else {
                 // Other (Space, Punc, English). Flush cluster.
                 if (current_cluster.length > 0) {
-                    result.push(this._sort_cluster(current_cluster));
+                    this._flushCluster(current_cluster, order);
                     current_cluster = [];
                 }
-                result.push(char);
+                order.push(i);
                 i++;
             }
         }
 
         if (current_cluster.length > 0) {
-            result.push(this._sort_cluster(current_cluster));
+            this._flushCluster(current_cluster, order);
         }
 
-        return result.join("");
+        const result = new Array(order.length);
+        const outStarts = new Array(order.length);
+        const outEnds = new Array(order.length);
+        for (let k = 0; k < order.length; k++) {
+            result[k] = chars[order[k]];
+            outStarts[k] = starts[order[k]];
+            outEnds[k] = ends[order[k]];
+        }
+
+        // Step 3: Fix Composites. After reordering, the parts of a split
+        // vowel are adjacent even if a subscript or register was typed
+        // between them.
+        return this._fixComposites(result, outStarts, outEnds);
+    }
+
+    // Replaces every composite key in chars, left to right. The combined
+    // char covers the original ranges of all its parts.
+    _fixComposites(chars, starts, ends) {
+        const keys = Object.keys(this.composites);
+        const out = { text: '', starts: [], ends: [] };
+        let k = 0;
+        while (k < chars.length) {
+            const key = keys.find(key => this._matchesAt(chars, k, key));
+            if (key) {
+                const span = key.length;
+                const start = Math.min(...starts.slice(k, k + span));
+                const end = Math.max(...ends.slice(k, k + span));
+                for (const char of this.composites[key]) {
+                    out.text += char;
+                    out.starts.push(start);
+                    out.ends.push(end);
+                }
+                k += span;
+            } else {
+                out.text += chars[k];
+                out.starts.push(starts[k]);
+                out.ends.push(ends[k]);
+                k++;
+            }
+        }
+        return out;
     }
 
+    _matchesAt(chars, k, key) {
+        for (let m = 0; m < key.length; m++) {
+            if (chars[k + m] !== key[m]) return false;
+        }
+        return true;
+    }
+
+    _flushCluster(units, order) {
+        for (const unit of this._sort_cluster(units)) {
+            order.push(...unit.pos);
+        }
+    }
+
+    // Sorts the modifiers of a cluster (units of { text, pos }) into
+    // canonical order, keeping the base first. Returns the sorted units.
+    // Like Unicode canonical ordering, marks are ordered by class only and
+    // keep their typed order within a class:
+    //   subscripts (Ro last), registers, vowels, signs, then reahmuk and
+    //   yuukaleapintu
     _sort_cluster(parts) {
-        if (!parts || parts.length === 0) return "";
+        if (!parts || parts.length === 0) return [];
 
         const base = parts[0];
         const modifiers = parts.slice(1);
 
         modifiers.sort((a, b) => {
-            const getPriority = (item) => {
+            const getPriority = (unit) => {
+                const item = unit.text;
                 if (item.startsWith('\u17D2')) { // Subscript
                     if (item.length === 2) {
                         const sub_con = item.charCodeAt(1);
@@ -146,6 +268,9 @@ export class KhmerNormalizer {
                 if (this.DEP_VOWELS.has(code)) {
                     return 3;
                 }
+                if (code === 0x17C7 || code === 0x17C8) {
+                    return 4.5; // Reahmuk, Yuukaleapintu: written after the cluster
+                }
                 if (this.SIGNS.has(code) || code === 0x17DD) {
                     return 4;
                 }
@@ -156,6 +281,6 @@ export class KhmerNormalizer {
             return getPriority(a) - getPriority(b);
         });
 
-        return base + modifiers.join("");
+        return [base, ...modifiers];
     }
 }
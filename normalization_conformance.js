@@ -0,0 +1,74 @@
+// Normalization Conformance
+// Input -> output pairs that KhmerNormalizer must reproduce, for checking
+// changes to normalization.js and other implementations (e.g. a port used
+// to build the dictionary) against it. `options` are KhmerNormalizer
+// constructor options. Strings are escaped since most of them differ only
+// in the order of invisible or combining characters.
+//
+//   node tools/check_normalization.js
+
+import { KhmerNormalizer } from './normalization.js';
+
+export const CONFORMANCE_CASES = [
+    // Unchanged text
+    { name: 'canonical word', input: '\u1781\u17D2\u1798\u17C2\u179A', output: '\u1781\u17D2\u1798\u17C2\u179A' },
+    { name: 'non-Khmer text', input: 'abc 123, \u17E1\u17E2\u17E3', output: 'abc 123, \u17E1\u17E2\u17E3' },
+    { name: 'empty string', input: '', output: '' },
+    { name: 'stray coeng', input: '\u17D2\u1780', output: '\u17D2\u1780' },
+
+    // Zero-width characters
+    { name: 'ZWSP', input: '\u1780\u200B\u1781', output: '\u1780\u1781' },
+    { name: 'ZWNJ and ZWJ', input: '\u1780\u200C\u17B6\u200D', output: '\u1780\u17B6' },
+
+    // Split vowels
+    { name: 'E + II -> OE', input: '\u1780\u17C1\u17B8', output: '\u1780\u17BE' },
+    { name: 'E + AA -> OO', input: '\u1780\u17C1\u17B6', output: '\u1780\u17C4' },
+    {
+        name: 'every occurrence',
+        input: '\u1780\u17C1\u17B6\u1781\u17C1\u17B8\u1782\u17C1\u17B6',
+        output: '\u1780\u17C4\u1781\u17BE\u1782\u17C4'
+    },
+    { name: 'split around a subscript', input: '\u1780\u17C1\u17D2\u179A\u17B6\u1798', output: '\u1780\u17D2\u179A\u17C4\u1798' },
+    { name: 'split around a register', input: '\u1794\u17C1\u17CA\u17B8', output: '\u1794\u17CA\u17BE' },
+    { name: 'split vowel without a base', input: '\u17C1\u17B6', output: '\u17C4' },
+    { name: 'parts in different clusters', input: '\u1780\u17C1\u1781\u17B6', output: '\u1780\u17C1\u1781\u17B6' },
+    {
+        name: 'extra composite',
+        options: { composites: { '\u17C1\u17B7': '\u17BE' } },
+        input: '\u1780\u17C1\u17B7',
+        output: '\u1780\u17BE'
+    },
+
+    // Mark order
+    { name: 'subscript before vowel', input: '\u1780\u17B6\u17D2\u1780', output: '\u1780\u17D2\u1780\u17B6' },
+    { name: 'Ro subscript last', input: '\u179F\u17D2\u179A\u17D2\u178F\u17B8', output: '\u179F\u17D2\u178F\u17D2\u179A\u17B8' },
+    { name: 'register before vowel', input: '\u1794\u17B8\u17CA', output: '\u1794\u17CA\u17B8' },
+    { name: 'vowel before sign', input: '\u1780\u17C6\u17B6', output: '\u1780\u17B6\u17C6' },
+    { name: 'reahmuk after other signs', input: '\u1780\u17BB\u17C7\u17C6', output: '\u1780\u17BB\u17C6\u17C7' },
+    { name: 'same class keeps typed order', input: '\u1780\u17CB\u17CD', output: '\u1780\u17CB\u17CD' },
+
+    // Deprecated and variant codepoints
+    { name: 'QAQ -> QA', input: '\u17A3\u1780', output: '\u17A2\u1780' },
+    { name: 'QAA -> QA + AA', input: '\u17A4', output: '\u17A2\u17B6' },
+    { name: 'inherent vowels dropped', input: '\u1780\u17B4\u1781\u17B5', output: '\u1780\u1781' },
+    { name: 'BEYYAL spelled out', input: '\u17D8', output: '\u17D4\u179B\u17D4' },
+    { name: 'BATHAMASAT has no replacement', input: '\u17D3', output: '\u17D3' },
+    { name: 'deprecated: keep', options: { deprecated: 'keep' }, input: '\u17A3\u17B4', output: '\u17A3\u17B4' },
+    { name: 'deprecated: remove', options: { deprecated: 'remove' }, input: '\u17A3\u1780\u17D3', output: '\u1780' },
+    {
+        name: 'variant replaced',
+        options: { variants: { '\u17B2': '\u17B1' } },
+        input: '\u17B2\u17D2\u1799',
+        output: '\u17B1\u17D2\u1799'
+    }
+];
+
+// Cases whose output differs, as { name, input, expected, actual }
+export function runConformance(cases = CONFORMANCE_CASES) {
+    const failures = [];
+    for (const { name, input, output, options } of cases) {
+        const actual = new KhmerNormalizer(options).normalize(input);
+        if (actual !== output) failures.push({ name, input, expected: output, actual });
+    }
+    return failures;
+}
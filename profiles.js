@@ -0,0 +1,70 @@
+// Segmentation Profiles
+// Named presets for different downstream uses. A profile bundles cost
+// parameters (KhmerSegmenter.DEFAULT_COSTS keys, unset ones keep their
+// defaults) with a rule set:
+//   rules: undefined            - the current rules (rules.json, or the
+//                                 rule editor's) unchanged
+//   rules: [...]                - this rule set instead
+//   rules: { disable, add }     - the current rules without the rules named
+//                                 in `disable`, plus the rules in `add`
+
+export const DEFAULT_PROFILE = 'default';
+
+export const PROFILES = {
+    'default': {
+        label: 'Default',
+        description: 'General-purpose costs and rules.json.'
+    },
+    'fine-grained': {
+        label: 'Fine-grained',
+        description: 'Prefers shorter dictionary words and splits compounds, e.g. for search indexing.',
+        costs: { wordPenalty: -1.5 },
+        // No merging of single letters into their neighbours; compounds
+        // that are dictionary words are split into their parts
+        rules: {
+            disable: ['Specific Char Merge Previous', 'Prefix OR Merge'],
+            add: [{
+                name: 'Split Compounds',
+                description: 'Split a dictionary word that is made of other dictionary words.',
+                priority: 10,
+                trigger: { type: 'regex', value: '^[\u1780-\u17FF]{2,}$' },
+                checks: [{ target: 'current', check: 'in_dictionary', value: true }],
+                action: { type: 'split_at', compound: true }
+            }]
+        }
+    },
+    'compound-preserving': {
+        label: 'Compound-preserving',
+        description: 'Prefers the longest dictionary entries, keeping compounds whole.',
+        costs: { wordPenalty: 2.0 },
+        // Gluing a stray letter onto a whole compound makes it unknown
+        rules: { disable: ['Specific Char Merge Previous'] }
+    },
+    'dictionary-only': {
+        label: 'Dictionary only',
+        description: 'No post-processing rules; only unknown runs are merged.',
+        rules: []
+    }
+};
+
+// The rule set a profile uses on top of baseRules. Always a fresh copy,
+// since the engine sorts rules in place.
+export function profileRules(profile, baseRules) {
+    const spec = profile && profile.rules;
+    let rules;
+    if (Array.isArray(spec)) {
+        rules = spec;
+    } else if (spec) {
+        const disabled = new Set(spec.disable || []);
+        rules = [...baseRules.filter(rule => !disabled.has(rule.name)), ...(spec.add || [])];
+    } else {
+        rules = baseRules;
+    }
+    return JSON.parse(JSON.stringify(rules));
+}
+
+// The profile as sent to the workers: cost parameters and rule spec only
+export function profileSettings(name) {
+    const profile = PROFILES[name] || PROFILES[DEFAULT_PROFILE];
+    return { costs: profile.costs || {}, rules: profile.rules };
+}
@@ -0,0 +1,331 @@
+// Rule Editor
+// In-app editing of the post-processing rules (rules.json format): list,
+// enable/disable, reorder, edit as JSON, with validation and a live
+// before/after preview of the editor text. Applied rules are sent to the
+// workers and kept in localStorage until reset.
+
+import { RuleBasedEngine } from './rule_engine.js';
+import { CancelledError } from './worker_pool.js';
+
+const STORAGE_KEY = 'khmer-segmenter-rules';
+const PREVIEW_LINES = 50; // Changed lines shown at most
+
+const NEW_RULE = {
+    name: "New rule",
+    description: "",
+    priority: 50,
+    trigger: { type: "exact_match", value: "" },
+    checks: [],
+    action: "keep"
+};
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function byPriority(rules) {
+    // Same order the engine applies them in (stable sort)
+    return [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+function describeTrigger(trigger) {
+    if (!trigger) return '';
+    return `${trigger.type}: ${typeof trigger.value === 'string' ? trigger.value : JSON.stringify(trigger.value)}`;
+}
+
+function describeCheck(c) {
+    if (!c || typeof c !== 'object') return '?';
+    if (c.not) return `not(${describeCheck(c.not)})`;
+    if (c.any) return `any(${c.any.map(describeCheck).join(', ')})`;
+    if (c.all) return `all(${c.all.map(describeCheck).join(', ')})`;
+    const parts = [c.target];
+    if (c.check) parts.push(`${c.check}=${JSON.stringify(c.value ?? true)}`);
+    if (c.min !== undefined) parts.push(`min=${c.min}`);
+    if (c.max !== undefined) parts.push(`max=${c.max}`);
+    if (c.exists) parts.push('exists');
+    return parts.join(' ');
+}
+
+function describeChecks(checks) {
+    return (checks || []).map(describeCheck).join(', ');
+}
+
+function describeAction(action) {
+    if (!action || typeof action === 'string') return action || '';
+    const { type, ...params } = action;
+    return `${type} ${JSON.stringify(params)}`;
+}
+
+// Tokens grouped by line (offsets kept), line breaks dropped
+function tokensByLine(tokens) {
+    const lines = [[]];
+    for (const token of tokens) {
+        if (/^(\r\n|\r|\n)$/.test(token.word)) lines.push([]);
+        else lines[lines.length - 1].push(token);
+    }
+    return lines;
+}
+
+export class RuleEditor {
+    // els: { panel, list, json, jsonError, status, preview, btnAdd, btnApply, btnReset, btnExport }
+    // options.pool     - WorkerPool
+    // options.getText  - current editor text, for the preview
+    // options.download - (text, filename) for the export button
+    // options.onApply  - called after new rules reached the workers
+    constructor(els, options) {
+        this.els = els;
+        this.pool = options.pool;
+        this.getText = options.getText;
+        this.download = options.download;
+        this.onApply = options.onApply || (() => { });
+
+        this.defaults = []; // rules.json
+        this.rules = []; // Draft, in priority order
+        this.selected = null; // Rule shown in the JSON box
+        this.previewTimer = null;
+
+        this._bind();
+    }
+
+    // Loads rules.json and any saved rules; saved ones go to the workers.
+    // Resolves to true if saved rules were restored.
+    async load() {
+        const res = await fetch('./rules.json');
+        if (!res.ok) throw new Error("Failed to load rules");
+        this.defaults = await res.json();
+
+        const saved = localStorage.getItem(STORAGE_KEY);
+        let rules = this.defaults;
+        if (saved) {
+            try {
+                rules = JSON.parse(saved);
+                await this.pool.setRules(rules);
+            } catch (e) {
+                console.error(`Ignoring saved rules: ${e.message}`);
+                localStorage.removeItem(STORAGE_KEY);
+                rules = this.defaults;
+            }
+        }
+        this.rules = byPriority(JSON.parse(JSON.stringify(rules)));
+        this.render();
+        return rules !== this.defaults;
+    }
+
+    _bind() {
+        const { els } = this;
+
+        els.btnAdd.addEventListener('click', () => {
+            const rule = JSON.parse(JSON.stringify(NEW_RULE));
+            this.rules.push(rule);
+            this.selected = rule;
+            this._changed();
+        });
+
+        els.btnApply.addEventListener('click', () => this.apply());
+        els.btnReset.addEventListener('click', () => this.reset());
+        els.btnExport.addEventListener('click', () => {
+            this.download(JSON.stringify(this.rules, null, 4) + '\n', 'rules.json');
+        });
+
+        els.list.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-index]');
+            if (!row) return;
+            const index = Number(row.dataset.index);
+            const rule = this.rules[index];
+            const action = e.target.dataset.action;
+
+            if (action === 'toggle') {
+                if (e.target.checked) delete rule.disabled;
+                else rule.disabled = true;
+            } else if (action === 'up' || action === 'down') {
+                this._move(index, action === 'up' ? -1 : 1);
+            } else if (action === 'delete') {
+                this.rules.splice(index, 1);
+                if (this.selected === rule) this.selected = null;
+            } else {
+                this.selected = this.selected === rule ? null : rule;
+                this.render();
+                return;
+            }
+            this._changed();
+        });
+
+        els.json.addEventListener('input', () => {
+            if (!this.selected) return;
+            let rule;
+            try {
+                rule = JSON.parse(els.json.value);
+            } catch (e) {
+                els.jsonError.textContent = `JSON: ${e.message}`;
+                return;
+            }
+            if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+                els.jsonError.textContent = "A rule must be a JSON object";
+                return;
+            }
+            els.jsonError.textContent = '';
+            this.rules[this.rules.indexOf(this.selected)] = rule;
+            this.selected = rule;
+            this._changed(false);
+        });
+    }
+
+    // Moving a rule renumbers all priorities (10, 20, ...) from the bottom
+    // up, since the engine orders by priority alone.
+    _move(index, delta) {
+        const target = index + delta;
+        if (target < 0 || target >= this.rules.length) return;
+        [this.rules[index], this.rules[target]] = [this.rules[target], this.rules[index]];
+        this.rules.forEach((rule, i) => {
+            rule.priority = (this.rules.length - i) * 10;
+        });
+    }
+
+    // `rerenderJson` is false while the user types in the JSON box
+    _changed(rerenderJson = true) {
+        this.rules = byPriority(this.rules);
+        this.render(rerenderJson);
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.preview(), 300);
+    }
+
+    render(rerenderJson = true) {
+        const { els } = this;
+        const rows = this.rules.map((rule, i) => {
+            const errors = RuleBasedEngine.validateRule(rule);
+            const cls = [
+                rule === this.selected ? 'selected' : '',
+                rule.disabled ? 'disabled' : ''
+            ].join(' ').trim();
+            const errorRow = errors.length > 0
+                ? `<tr class="rule-errors"><td colspan="7">${errors.map(escapeHtml).join('<br>')}</td></tr>`
+                : '';
+            return `
+                <tr data-index="${i}" class="${cls}">
+                    <td><input type="checkbox" data-action="toggle" ${rule.disabled ? '' : 'checked'}></td>
+                    <td>${escapeHtml(rule.name || '')}</td>
+                    <td>${escapeHtml(rule.priority ?? 0)}</td>
+                    <td class="rule-code">${escapeHtml(describeTrigger(rule.trigger))}</td>
+                    <td>${escapeHtml(describeChecks(rule.checks))}</td>
+                    <td>${escapeHtml(describeAction(rule.action))}</td>
+                    <td class="rule-buttons">
+                        <button class="btn-icon" data-action="up" title="Move up">↑</button>
+                        <button class="btn-icon" data-action="down" title="Move down">↓</button>
+                        <button class="btn-icon" data-action="delete" title="Delete">✕</button>
+                    </td>
+                </tr>${errorRow}`;
+        }).join('');
+
+        els.list.innerHTML = `
+            <tr><th></th><th>Name</th><th>Priority</th><th>Trigger</th><th>Checks</th><th>Action</th><th></th></tr>
+            ${rows}`;
+
+        els.json.hidden = !this.selected;
+        if (!this.selected) {
+            els.jsonError.textContent = '';
+        } else if (rerenderJson) {
+            els.json.value = JSON.stringify(this.selected, null, 4);
+            els.jsonError.textContent = '';
+        }
+    }
+
+    // Segments the editor text with the applied and the draft rules and
+    // shows the lines that differ. Tokens only on one side are marked.
+    async preview() {
+        const text = this.getText();
+        if (!text) {
+            this.els.preview.textContent = '';
+            return;
+        }
+
+        let before, after;
+        try {
+            [before, after] = await Promise.all([
+                this.pool.segment(text, { channel: 'rules-before' }),
+                this.pool.segment(text, { channel: 'rules-after', rules: this.rules })
+            ]);
+        } catch (e) {
+            if (e instanceof CancelledError) return;
+            this.els.preview.textContent = `Error: ${e.message}`;
+            return;
+        }
+
+        const beforeLines = tokensByLine(before);
+        const afterLines = tokensByLine(after);
+        const key = t => `${t.start}:${t.end}`;
+        const renderLine = (tokens, other) => {
+            const keys = new Set(other.map(key));
+            return tokens
+                .filter(t => !/^\s*$/.test(t.word))
+                .map(t => `<span class="${keys.has(key(t)) ? 'preview-token' : 'preview-token changed'}">${escapeHtml(t.word)}</span>`)
+                .join('');
+        };
+
+        let html = '';
+        let changed = 0;
+        for (let i = 0; i < beforeLines.length && changed < PREVIEW_LINES; i++) {
+            const a = beforeLines[i];
+            const b = afterLines[i] || [];
+            if (a.length === b.length && a.every((t, j) => key(t) === key(b[j]))) continue;
+            changed++;
+            html += `
+                <div class="preview-line">
+                    <div class="preview-before">${renderLine(a, b)}</div>
+                    <div class="preview-after">${renderLine(b, a)}</div>
+                </div>`;
+        }
+        this.els.preview.innerHTML = html || '<div>No changes in the current text</div>';
+    }
+
+    // Errors of apply/reset, one per line; empty clears the status
+    _showStatus(lines) {
+        this.els.status.innerHTML = lines.map(escapeHtml).join('<br>');
+    }
+
+    // Draft rules with errors are neither applied nor saved: the engine
+    // would silently drop them, and saved rules must load cleanly.
+    async apply() {
+        const invalid = RuleBasedEngine.validateRules(this.rules);
+        if (invalid.length > 0) {
+            this._showStatus([
+                "Not applied, fix these first:",
+                ...invalid.map(error => `Rule '${error.rule}': ${error.message}`)
+            ]);
+            return;
+        }
+
+        try {
+            const errors = await this.pool.setRules(this.rules);
+            if (errors.length > 0) {
+                this._showStatus([
+                    "Not saved, the workers rejected:",
+                    ...errors.map(error => `Rule '${error.rule}': ${error.message}`)
+                ]);
+                return;
+            }
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.rules));
+            this._showStatus([]);
+            await this.onApply();
+            this.preview();
+        } catch (e) {
+            console.error(e);
+            this._showStatus([`Error: ${e.message}`]);
+        }
+    }
+
+    async reset() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+            await this.pool.setRules(null);
+            this.rules = byPriority(JSON.parse(JSON.stringify(this.defaults)));
+            this.selected = null;
+            this.render();
+            this._showStatus([]);
+            await this.onApply();
+            this.preview();
+        } catch (e) {
+            console.error(e);
+            this._showStatus([`Error: ${e.message}`]);
+        }
+    }
+}
@@ -1,41 +1,481 @@
+// Rule language (rules.json), applied left to right over the segments:
+//
+//   trigger  - what the current segment must be:
+//              { type: "exact_match", value }  { type: "regex", value }
+//              { type: "complexity_check", value: "is_invalid_single" }
+//              { type: "pattern", value: [matcher, ...] } - a sequence of
+//                segments starting here; a matcher is a string (exact) or
+//                an exact_match/regex/complexity_check trigger
+//   checks   - all must hold. { target, check, value, exists } where target
+//              is "current" ("context"), "prev", "next", "prev2", "next3"...
+//              or a numeric offset. Checks:
+//                is_separator, is_isolated, in_dictionary, is_digit,
+//                is_khmer (value: expected boolean, default true;
+//                  is_isolated always tests the current segment)
+//                length (value: exact, and/or min / max)
+//                regex, exact_match (value: pattern / string)
+//              Without `check`, only tests that the target exists.
+//              Groups: { not: check }, { any: [checks] }, { all: [checks] }
+//   action   - "merge_next" | "merge_prev" | "keep", or an object:
+//              { type: "merge_range", from, to } - merge the segments at
+//                offsets from..to (default: the whole pattern); must span
+//                at least two segments
+//              { type: "split_at", regex } - split before each match
+//              { type: "split_at", dictionary: true } - split into the
+//                fewest dictionary words, if the whole segment is covered
+//              { type: "split_at", compound: true } - split a compound into
+//                its parts, as KhmerSegmenter.decompose finds them, unless
+//                one of them is a single letter
+//
+//   tests    - optional [{ input: [segments], expected: [segments] }], run
+//              against the whole rule set by tools/test_rules.js
+//   disabled, description, priority
+//
+// Regexes in triggers and checks are anchored at the start ('^' is added).
+// The same structure is described by rules.schema.json; validateRule is
+// the authoritative check and also rejects unknown keys, so a typo never
+// silently turns a rule into a no-op. tools/test_rules.js checks that the
+// two agree on rule_schema_samples.js.
+
+const TRIGGER_TYPES = ["exact_match", "regex", "complexity_check", "pattern"];
+const BOOLEAN_CHECKS = ["is_separator", "is_isolated", "in_dictionary", "is_digit", "is_khmer"];
+const ACTIONS = ["merge_next", "merge_prev", "keep", "merge_range", "split_at"];
+
+const RULE_KEYS = ["name", "description", "priority", "trigger", "checks", "action", "disabled", "tests"];
+const TRIGGER_KEYS = ["type", "value"];
+const CHECK_KEYS = ["target", "check", "value", "exists", "min", "max"];
+const ACTION_KEYS = ["type", "from", "to", "regex", "dictionary", "compound"];
+const TEST_KEYS = ["input", "expected", "description"];
+
+function unknownKeys(obj, allowed, what) {
+    return Object.keys(obj)
+        .filter(key => !allowed.includes(key))
+        .map(key => `Unknown ${what} property '${key}'`);
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
+
+function anchored(pattern) {
+    return new RegExp(pattern.startsWith('^') ? pattern : '^' + pattern);
+}
+
+function isValidTarget(target) {
+    return Number.isInteger(target) || /^(prev|next)\d*$/.test(target) ||
+        target === "current" || target === "context";
+}
+
+function actionOf(rule) {
+    return typeof rule.action === 'string' ? { type: rule.action } : (rule.action || {});
+}
+
 export class RuleBasedEngine {
-    constructor(checkInvalidSingleFunc, isSeparatorFunc, rulesData) {
+    // helpers (optional): { inDictionary, isDigit, isKhmer }, each seg => bool,
+    // and decompose, seg => parts or null
+    constructor(checkInvalidSingleFunc, isSeparatorFunc, rulesData, helpers = {}) {
         this.checkInvalidSingle = checkInvalidSingleFunc;
         this.isSeparator = isSeparatorFunc;
+        this.inDictionary = helpers.inDictionary || (() => false);
+        this.isDigit = helpers.isDigit || (seg => /^[0-9\u17E0-\u17E9]+$/.test(seg));
+        this.isKhmer = helpers.isKhmer || (seg => /^[\u1780-\u17FF\u19E0-\u19FF]+$/.test(seg));
+        this.decompose = helpers.decompose || (() => null);
         this.rules = this._compileRules(rulesData);
     }
 
-    _compileRules(rules) {
-        try {
-            // Sort by priority desc
-            rules.sort((a, b) => (b.priority || 0) - (a.priority || 0));
-
-            const compiledRules = [];
-            for (const rule of rules) {
-                const trigger = rule.trigger;
-                if (trigger.type === "regex") {
-                    try {
-                        let pattern = trigger.value;
-                        if (!pattern.startsWith('^')) {
-                            pattern = '^' + pattern;
-                        }
-                        trigger.regexObj = new RegExp(pattern);
-                    } catch (e) {
-                        console.error(`Error compiling trigger regex for rule '${rule.name}': ${e}`);
-                        continue;
+    // Problems with a single rule as human readable messages; empty if the
+    // rule is usable. Does not modify the rule.
+    static validateRule(rule) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ["Rule must be an object"];
+        const errors = unknownKeys(rule, RULE_KEYS, "rule");
+        if (typeof rule.name !== 'string' || !rule.name) errors.push("Missing name");
+        if (rule.priority !== undefined && typeof rule.priority !== 'number') errors.push("Priority must be a number");
+        if (rule.disabled !== undefined && typeof rule.disabled !== 'boolean') errors.push("disabled must be true or false");
+
+        const trigger = rule.trigger;
+        if (!trigger || typeof trigger !== 'object') {
+            errors.push("Missing trigger");
+        } else if (!TRIGGER_TYPES.includes(trigger.type)) {
+            errors.push(`Unknown trigger type '${trigger.type}'`);
+        } else if (trigger.type === "pattern") {
+            errors.push(...unknownKeys(trigger, TRIGGER_KEYS, "trigger"));
+            if (!Array.isArray(trigger.value) || trigger.value.length === 0) {
+                errors.push("pattern trigger needs a non-empty array of matchers");
+            } else {
+                for (const matcher of trigger.value) {
+                    if (typeof matcher === 'string') continue;
+                    if (!matcher || matcher.type === "pattern") {
+                        errors.push("Pattern matchers must be strings or exact_match/regex/complexity_check triggers");
+                    } else {
+                        errors.push(...RuleBasedEngine._validateMatcher(matcher));
                     }
                 }
-                compiledRules.push(rule);
             }
-            return compiledRules;
+        } else {
+            errors.push(...RuleBasedEngine._validateMatcher(trigger));
+        }
+
+        if (rule.checks !== undefined && !Array.isArray(rule.checks)) {
+            errors.push("checks must be an array");
+        } else {
+            for (const check of rule.checks || []) {
+                errors.push(...RuleBasedEngine._validateCheck(check));
+            }
+        }
+
+        const action = actionOf(rule);
+        if (typeof rule.action === 'object' && rule.action !== null) {
+            errors.push(...unknownKeys(rule.action, ACTION_KEYS, "action"));
+            if (action.type !== "merge_range" && (action.from !== undefined || action.to !== undefined)) {
+                errors.push("from/to are only used by merge_range");
+            }
+            if (action.type !== "split_at" &&
+                (action.regex !== undefined || action.dictionary !== undefined || action.compound !== undefined)) {
+                errors.push("regex/dictionary/compound are only used by split_at");
+            }
+        }
+        if (!ACTIONS.includes(action.type)) {
+            errors.push(`Unknown action '${action.type}'`);
+        } else if (action.type === "merge_range") {
+            if (action.from !== undefined && !Number.isInteger(action.from)) errors.push("merge_range 'from' must be an integer");
+            if (action.to !== undefined && !Number.isInteger(action.to)) errors.push("merge_range 'to' must be an integer");
+            // The range is relative to the trigger and defaults to all of it
+            const matched = trigger && trigger.type === "pattern" && Array.isArray(trigger.value) ? trigger.value.length : 1;
+            if ((action.from ?? 0) >= (action.to ?? matched - 1)) {
+                errors.push("merge_range covers a single segment and never merges anything");
+            }
+        } else if (action.type === "split_at") {
+            const modes = ["regex", "dictionary", "compound"].filter(key => action[key] !== undefined);
+            if (modes.length > 1) {
+                errors.push(`split_at takes one of regex, dictionary or compound, not ${modes.join(' and ')}`);
+            } else if (action.regex !== undefined) {
+                try {
+                    new RegExp(action.regex, 'g');
+                } catch (e) {
+                    errors.push(`Invalid split_at regex: ${e.message}`);
+                }
+            } else if (action.dictionary !== true && action.compound !== true) {
+                errors.push("split_at needs a regex, dictionary: true or compound: true");
+            }
+        }
+
+        if (rule.tests !== undefined) {
+            if (!Array.isArray(rule.tests)) {
+                errors.push("tests must be an array");
+            } else {
+                rule.tests.forEach((test, n) => {
+                    if (!test || typeof test !== 'object') {
+                        errors.push(`tests[${n}] must be an object`);
+                        return;
+                    }
+                    errors.push(...unknownKeys(test, TEST_KEYS, `tests[${n}]`));
+                    if (!isStringArray(test.input)) errors.push(`tests[${n}].input must be an array of strings`);
+                    if (!isStringArray(test.expected)) errors.push(`tests[${n}].expected must be an array of strings`);
+                });
+            }
+        }
+        return errors;
+    }
 
-        } catch (e) {
-            console.error(`Error loading rules: ${e}`);
+    // Validates a whole rules.json. Returns [{ rule, message }], where rule
+    // is the rule name (or its index if it has none).
+    static validateRules(rules) {
+        if (!Array.isArray(rules)) return [{ rule: null, message: "Rules must be an array" }];
+
+        const errors = [];
+        const names = new Set();
+        rules.forEach((rule, n) => {
+            const label = rule && typeof rule.name === 'string' && rule.name ? rule.name : `#${n}`;
+            for (const message of RuleBasedEngine.validateRule(rule)) {
+                errors.push({ rule: label, message });
+            }
+            if (rule && typeof rule.name === 'string') {
+                if (names.has(rule.name)) errors.push({ rule: label, message: "Duplicate rule name" });
+                names.add(rule.name);
+            }
+        });
+        return errors;
+    }
+
+    // One line per problem, for error messages
+    static formatErrors(errors) {
+        return errors.map(e => e.rule === null ? e.message : `Rule '${e.rule}': ${e.message}`).join('\n');
+    }
+
+    static _validateMatcher(matcher) {
+        const extra = unknownKeys(matcher, TRIGGER_KEYS, "trigger");
+        if (extra.length > 0) return extra;
+        if (matcher.type === "regex") {
+            try {
+                new RegExp(matcher.value);
+            } catch (e) {
+                return [`Invalid trigger regex: ${e.message}`];
+            }
+        } else if (matcher.type === "exact_match") {
+            if (typeof matcher.value !== 'string') return ["exact_match trigger needs a string value"];
+        } else if (matcher.type === "complexity_check") {
+            if (matcher.value !== "is_invalid_single") return [`Unknown complexity check '${matcher.value}'`];
+        } else {
+            return [`Unknown trigger type '${matcher.type}'`];
+        }
+        return [];
+    }
+
+    static _validateCheck(check) {
+        if (!check || typeof check !== 'object') return ["Check must be an object"];
+        if ('not' in check || 'any' in check || 'all' in check) {
+            const keys = Object.keys(check);
+            if (keys.length !== 1) return [`A not/any/all group cannot have other properties (${keys.join(', ')})`];
+            if ('not' in check) return RuleBasedEngine._validateCheck(check.not);
+            const group = check.any || check.all;
+            if (!Array.isArray(group)) return ["any/all need an array of checks"];
+            return group.flatMap(c => RuleBasedEngine._validateCheck(c));
+        }
+
+        const errors = unknownKeys(check, CHECK_KEYS, "check");
+        if (!isValidTarget(check.target)) errors.push(`Unknown check target '${check.target}'`);
+        if (check.exists !== undefined && typeof check.exists !== 'boolean') errors.push("exists must be true or false");
+        if (check.check !== "length" && (check.min !== undefined || check.max !== undefined)) {
+            errors.push("min/max are only used by length checks");
+        }
+        if (check.check === undefined) {
+            // Only tests whether the target exists
+            if (check.value !== undefined) errors.push("A check with a value needs a 'check' type");
+            return errors;
+        }
+
+        if (BOOLEAN_CHECKS.includes(check.check)) {
+            if (check.value !== undefined && typeof check.value !== 'boolean') {
+                errors.push(`${check.check} value must be true or false`);
+            }
+            if (check.check === "is_isolated" && !["current", "context", 0].includes(check.target)) {
+                errors.push("is_isolated always tests the current segment; target must be 'current' or 'context'");
+            }
+        } else if (check.check === "regex") {
+            if (typeof check.value !== 'string') {
+                errors.push("regex check needs a string value");
+            } else {
+                try {
+                    new RegExp(check.value);
+                } catch (e) {
+                    errors.push(`Invalid check regex: ${e.message}`);
+                }
+            }
+        } else if (check.check === "exact_match") {
+            if (typeof check.value !== 'string') errors.push("exact_match check needs a string value");
+        } else if (check.check === "length") {
+            const bounds = ["value", "min", "max"].filter(key => check[key] !== undefined);
+            if (bounds.length === 0) errors.push("length check needs a value, min or max");
+            for (const key of bounds) {
+                if (!Number.isInteger(check[key])) errors.push(`length '${key}' must be an integer`);
+            }
+        } else {
+            errors.push(`Unknown check '${check.check}'`);
+        }
+        return errors;
+    }
+
+    // Rules with `disabled: true` are skipped. Invalid rules are dropped and
+    // reported in this.errors as { rule, message }.
+    _compileRules(rules) {
+        this.errors = [];
+        if (!Array.isArray(rules)) {
+            console.error("Error loading rules: rules must be an array");
+            this.errors.push({ rule: null, message: "Rules must be an array" });
             return [];
         }
+
+        // Sort by priority desc
+        rules.sort((a, b) => (b?.priority || 0) - (a?.priority || 0));
+
+        const compiledRules = [];
+        for (const rule of rules) {
+            if (rule && rule.disabled) continue;
+
+            const problems = RuleBasedEngine.validateRule(rule);
+            if (problems.length > 0) {
+                for (const message of problems) {
+                    console.error(`Error in rule '${rule?.name}': ${message}`);
+                    this.errors.push({ rule: rule?.name ?? null, message });
+                }
+                continue;
+            }
+
+            // Compiled copies; the rules themselves stay plain JSON
+            const trigger = { ...rule.trigger };
+            if (trigger.type === "regex") {
+                trigger.regexObj = anchored(trigger.value);
+            } else if (trigger.type === "pattern") {
+                trigger.matchers = trigger.value.map(m => {
+                    if (typeof m === 'string') return { type: "exact_match", value: m };
+                    return m.type === "regex" ? { ...m, regexObj: anchored(m.value) } : m;
+                });
+            }
+
+            let actionObj = actionOf(rule);
+            if (actionObj.type === "split_at" && actionObj.regex !== undefined) {
+                actionObj = { ...actionObj, regexObj: new RegExp(actionObj.regex, 'g') };
+            }
+            compiledRules.push({
+                ...rule,
+                trigger,
+                checks: this._compileChecks(rule.checks || []),
+                actionObj
+            });
+        }
+        return compiledRules;
+    }
+
+    _compileChecks(checks) {
+        return checks.map(check => {
+            if (check.not) return { not: this._compileChecks([check.not])[0] };
+            if (check.any) return { any: this._compileChecks(check.any) };
+            if (check.all) return { all: this._compileChecks(check.all) };
+            if (check.check === "regex") return { ...check, regexObj: anchored(check.value) };
+            return check;
+        });
+    }
+
+    // Number of segments the trigger matches at i (0: no match)
+    _matchTrigger(trigger, segments, i) {
+        if (trigger.type === "pattern") {
+            const matchers = trigger.matchers;
+            if (i + matchers.length > segments.length) return 0;
+            for (let k = 0; k < matchers.length; k++) {
+                if (!this._matchSingle(matchers[k], segments[i + k])) return 0;
+            }
+            return matchers.length;
+        }
+        return this._matchSingle(trigger, segments[i]) ? 1 : 0;
+    }
+
+    _matchSingle(trigger, seg) {
+        const tType = trigger.type;
+        if (tType === "exact_match") {
+            return seg === trigger.value;
+        } else if (tType === "regex") {
+            return Boolean(trigger.regexObj && trigger.regexObj.test(seg));
+        } else if (tType === "complexity_check") {
+            if (trigger.value === "is_invalid_single") {
+                return this.checkInvalidSingle(seg);
+            }
+        }
+        return false;
+    }
+
+    // Index of the check target relative to i, or -1 if out of range
+    _resolveTarget(target, i, n) {
+        let offset = 0;
+        if (Number.isInteger(target)) {
+            offset = target;
+        } else if (target !== "context" && target !== "current") {
+            const m = /^(prev|next)(\d*)$/.exec(target);
+            if (!m) return -1;
+            offset = (m[2] ? parseInt(m[2], 10) : 1) * (m[1] === "prev" ? -1 : 1);
+        }
+        const idx = i + offset;
+        return idx >= 0 && idx < n ? idx : -1;
+    }
+
+    _checkCondition(check, segments, i) {
+        if (check.not) return !this._checkCondition(check.not, segments, i);
+        if (check.any) return check.any.some(c => this._checkCondition(c, segments, i));
+        if (check.all) return check.all.every(c => this._checkCondition(c, segments, i));
+
+        const idx = this._resolveTarget(check.target, i, segments.length);
+
+        // Check existence
+        const mustExist = check.exists || false;
+        if (idx === -1) {
+            return !(mustExist || check.check || check.value);
+        }
+
+        const targetSeg = segments[idx];
+        const cType = check.check;
+        const expected = check.value === undefined ? true : check.value;
+
+        switch (cType) {
+            case "is_separator":
+                return this.isSeparator(targetSeg) === expected;
+            case "is_isolated": {
+                // Isolation of the current segment, as before
+                const prevSep = i > 0 ? this.isSeparator(segments[i - 1]) : true;
+                const nextSep = i + 1 < segments.length ? this.isSeparator(segments[i + 1]) : true;
+                return (prevSep && nextSep) === expected;
+            }
+            case "in_dictionary":
+                return this.inDictionary(targetSeg) === expected;
+            case "is_digit":
+                return this.isDigit(targetSeg) === expected;
+            case "is_khmer":
+                return this.isKhmer(targetSeg) === expected;
+            case "length": {
+                const len = [...targetSeg].length;
+                if (check.value !== undefined && len !== check.value) return false;
+                if (check.min !== undefined && len < check.min) return false;
+                if (check.max !== undefined && len > check.max) return false;
+                return true;
+            }
+            case "regex":
+                return check.regexObj.test(targetSeg);
+            case "exact_match":
+                return targetSeg === check.value;
+            default:
+                return true;
+        }
     }
 
-    applyRules(segments) {
+    // Pieces of `seg` for a split_at action; fewer than two means no split
+    _splitSegment(action, seg) {
+        if (action.regexObj) {
+            const cuts = [];
+            for (const m of seg.matchAll(action.regexObj)) {
+                if (m.index > 0 && m.index < seg.length && m.index !== cuts[cuts.length - 1]) cuts.push(m.index);
+            }
+            const pieces = [];
+            let pos = 0;
+            for (const cut of cuts) {
+                pieces.push(seg.slice(pos, cut));
+                pos = cut;
+            }
+            pieces.push(seg.slice(pos));
+            return pieces;
+        }
+        if (action.compound) {
+            // Single letters are dictionary entries too; a split that
+            // strands one is not a compound
+            const parts = this.decompose(seg);
+            return parts && parts.every(part => part.length > 1) ? parts : [seg];
+        }
+        return this._splitByDictionary(seg);
+    }
+
+    // Fewest dictionary words covering seg exactly, or [seg] if impossible
+    _splitByDictionary(seg) {
+        const n = seg.length;
+        const best = new Array(n + 1).fill(Infinity);
+        const back = new Array(n + 1).fill(-1);
+        best[0] = 0;
+        for (let i = 0; i < n; i++) {
+            if (best[i] === Infinity) continue;
+            for (let j = i + 1; j <= n; j++) {
+                if (best[i] + 1 < best[j] && this.inDictionary(seg.slice(i, j))) {
+                    best[j] = best[i] + 1;
+                    back[j] = i;
+                }
+            }
+        }
+        if (best[n] === Infinity) return [seg];
+
+        const pieces = [];
+        for (let j = n; j > 0; j = back[j]) pieces.unshift(seg.slice(back[j], j));
+        return pieces;
+    }
+
+    // `traces` is optional: when given (one entry per segment, as built by
+    // KhmerSegmenter.segmentWithTrace), it is kept aligned with `segments`
+    // and records the name of every rule that fires.
+    applyRules(segments, traces = null) {
         let i = 0;
         while (i < segments.length) {
             const seg = segments[i];
@@ -43,107 +483,49 @@ export class RuleBasedEngine {
 
             for (const rule of this.rules) {
                 // 1. Check Trigger
-                const trigger = rule.trigger;
-                const tType = trigger.type;
-                let match = false;
-
-                if (tType === "exact_match") {
-                    if (seg === trigger.value) {
-                        match = true;
-                    }
-                } else if (tType === "regex") {
-                    if (trigger.regexObj && trigger.regexObj.test(seg)) {
-                        match = true;
-                    }
-                } else if (tType === "complexity_check") {
-                    if (trigger.value === "is_invalid_single") {
-                        if (this.checkInvalidSingle(seg)) {
-                            match = true;
-                        }
-                    }
-                }
-
-                if (!match) continue;
+                const matched = this._matchTrigger(rule.trigger, segments, i);
+                if (matched === 0) continue;
 
                 // 2. Check Conditions
-                let conditionsMet = true;
                 const checks = rule.checks || [];
-
-                if (checks.length > 0) {
-                    for (const check of checks) {
-                        const target = check.target;
-                        let targetSeg = null;
-
-                        // Resolve target
-                        if (target === "prev") {
-                            if (i > 0) targetSeg = segments[i - 1];
-                        } else if (target === "next") {
-                            if (i + 1 < segments.length) targetSeg = segments[i + 1];
-                        } else if (target === "context" || target === "current") {
-                            targetSeg = segments[i];
-                        }
-
-                        // Check existence
-                        const mustExist = check.exists || false;
-                        if (mustExist && targetSeg === null) {
-                            conditionsMet = false;
-                            break;
-                        }
-
-                        if (targetSeg === null) {
-                            if (check.check || check.value) {
-                                conditionsMet = false;
-                                break;
-                            }
-                            continue;
-                        }
-
-                        // Value checks
-                        const cType = check.check;
-                        const expected = check.value;
-
-                        if (cType === "is_separator") {
-                            if (this.isSeparator(targetSeg) !== expected) {
-                                conditionsMet = false;
-                                break;
-                            }
-                        } else if (cType === "is_isolated") {
-                            let prevSep = true;
-                            if (i > 0) prevSep = this.isSeparator(segments[i - 1]);
-
-                            let nextSep = true;
-                            if (i + 1 < segments.length) nextSep = this.isSeparator(segments[i + 1]);
-
-                            const isIso = prevSep && nextSep;
-                            if (isIso !== expected) {
-                                conditionsMet = false;
-                                break;
-                            }
-                        }
-                    }
-
-                    if (!conditionsMet) continue;
-                }
+                if (!checks.every(check => this._checkCondition(check, segments, i))) continue;
 
                 // 3. Apply Action
-                const action = rule.action;
-                if (action === "merge_next") {
+                const action = rule.actionObj;
+                if (action.type === "merge_next") {
                     if (i + 1 < segments.length) {
-                        segments[i] = seg + segments[i + 1];
-                        segments.splice(i + 1, 1);
+                        this._mergeRange(segments, traces, i, i + 1, rule);
                         ruleApplied = true;
                         break; // Break rule loop, restart at SAME index 'i'
                     }
-                } else if (action === "merge_prev") {
+                } else if (action.type === "merge_prev") {
                     if (i > 0) {
-                        segments[i - 1] = segments[i - 1] + seg;
-                        segments.splice(i, 1);
+                        this._mergeRange(segments, traces, i - 1, i, rule);
                         i--; // Shift back to re-evaluate merged content at i-1
                         ruleApplied = true;
                         break;
                     }
-                } else if (action === "keep") {
-                    i++;
+                } else if (action.type === "merge_range") {
+                    const from = Math.max(0, i + (action.from ?? 0));
+                    const to = Math.min(segments.length - 1, i + (action.to ?? matched - 1));
+                    if (to > from) {
+                        this._mergeRange(segments, traces, from, to, rule);
+                        i = from; // Re-evaluate the merged segment
+                        ruleApplied = true;
+                        break;
+                    }
+                } else if (action.type === "split_at") {
+                    const pieces = this._splitSegment(action, seg);
+                    if (pieces.length > 1) {
+                        segments.splice(i, 1, ...pieces);
+                        if (traces) traces.splice(i, 1, ...this._splitTrace(traces[i], pieces, rule));
+                        i += pieces.length; // Don't split the pieces again
+                        ruleApplied = true;
+                        break;
+                    }
+                } else if (action.type === "keep") {
+                    if (traces) traces[i].rules.push(rule.name);
+                    i += matched;
                     ruleApplied = true;
                     break; // Break rule loop, move to next
                 }
@@ -155,4 +537,41 @@ export class RuleBasedEngine {
         }
         return segments;
     }
+
+    // Merges segments[from..to] into one
+    _mergeRange(segments, traces, from, to, rule) {
+        const merged = segments.slice(from, to + 1).join('');
+        segments.splice(from, to - from + 1, merged);
+        if (traces) {
+            const parts = traces.slice(from, to + 1);
+            let trace = parts[0];
+            for (let k = 1; k < parts.length; k++) {
+                trace = this._mergeTraces(trace, parts[k], k === parts.length - 1 ? rule : null);
+            }
+            traces.splice(from, to - from + 1, trace);
+        }
+    }
+
+    _mergeTraces(a, b, rule) {
+        return {
+            parts: [...a.parts, ...b.parts],
+            cost: a.cost + b.cost,
+            rules: rule ? [...a.rules, ...b.rules, rule.name] : [...a.rules, ...b.rules],
+            unknownMerge: a.unknownMerge || b.unknownMerge
+        };
+    }
+
+    // The cost of a split segment is shared out by length
+    _splitTrace(trace, pieces, rule) {
+        const total = pieces.reduce((sum, p) => sum + p.length, 0);
+        return pieces.map(piece => {
+            const cost = trace.cost * piece.length / total;
+            return {
+                parts: [{ text: piece, type: 'rule_split', cost }],
+                cost,
+                rules: [...trace.rules, rule.name],
+                unknownMerge: false
+            };
+        });
+    }
 }
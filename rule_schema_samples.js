@@ -0,0 +1,83 @@
+// Rule Schema Samples
+// Rule sets on which rules.schema.json and RuleBasedEngine.validateRules
+// must agree, checked by tools/test_rules.js. `valid` is the expected
+// verdict of both. Samples marked `schemaBlind` are invalid for reasons a
+// JSON schema cannot express (regex syntax, duplicate names, ranges
+// relative to the trigger): the schema accepts them, the validator must not.
+
+const base = { name: 'sample', trigger: { type: 'exact_match', value: 'a' }, action: 'keep' };
+const rule = (overrides) => [{ ...base, ...overrides }];
+const check = (c) => rule({ checks: [c] });
+
+export const RULE_SCHEMA_SAMPLES = [
+    // Valid
+    { name: 'minimal rule', rules: rule({}), valid: true },
+    { name: 'regex trigger', rules: rule({ trigger: { type: 'regex', value: '^x+$' }, action: 'merge_next' }), valid: true },
+    {
+        name: 'pattern with merge_range',
+        rules: rule({ trigger: { type: 'pattern', value: ['a', { type: 'regex', value: 'b' }] }, action: 'merge_range' }),
+        valid: true
+    },
+    { name: 'merge_range with to', rules: rule({ action: { type: 'merge_range', to: 1 } }), valid: true },
+    { name: 'split_at regex', rules: rule({ action: { type: 'split_at', regex: 'x' } }), valid: true },
+    { name: 'split_at dictionary', rules: rule({ action: { type: 'split_at', dictionary: true } }), valid: true },
+    { name: 'split_at compound', rules: rule({ action: { type: 'split_at', compound: true } }), valid: true },
+    { name: 'boolean check', rules: check({ target: 'prev', check: 'is_separator', value: false, exists: true }), valid: true },
+    { name: 'existence check', rules: check({ target: 'next2', exists: true }), valid: true },
+    { name: 'length min', rules: check({ target: -1, check: 'length', min: 2 }), valid: true },
+    { name: 'regex check', rules: check({ target: 'next', check: 'regex', value: '[0-9]' }), valid: true },
+    { name: 'is_isolated', rules: check({ target: 'context', check: 'is_isolated', value: false }), valid: true },
+    {
+        name: 'check groups',
+        rules: check({ any: [{ not: { target: 'prev', check: 'is_digit' } }, { all: [{ target: 'next', check: 'is_khmer' }] }] }),
+        valid: true
+    },
+    { name: 'tests', rules: rule({ tests: [{ input: ['a'], expected: ['a'] }] }), valid: true },
+
+    // Invalid
+    { name: 'missing name', rules: [{ trigger: base.trigger, action: 'keep' }], valid: false },
+    { name: 'unknown rule key', rules: rule({ prio: 1 }), valid: false },
+    { name: 'priority not a number', rules: rule({ priority: '1' }), valid: false },
+    { name: 'disabled not a boolean', rules: rule({ disabled: 'yes' }), valid: false },
+    { name: 'unknown trigger type', rules: rule({ trigger: { type: 'prefix', value: 'a' } }), valid: false },
+    { name: 'exact_match without string', rules: rule({ trigger: { type: 'exact_match', value: 1 } }), valid: false },
+    { name: 'unknown complexity check', rules: rule({ trigger: { type: 'complexity_check', value: 'x' } }), valid: false },
+    { name: 'empty pattern', rules: rule({ trigger: { type: 'pattern', value: [] } }), valid: false },
+    { name: 'unknown action', rules: rule({ action: 'merge' }), valid: false },
+    { name: 'keep with regex', rules: rule({ action: { type: 'keep', regex: 'x' } }), valid: false },
+    { name: 'merge_next with from', rules: rule({ action: { type: 'merge_next', from: 0 } }), valid: false },
+    { name: 'split_at without target', rules: rule({ action: { type: 'split_at' } }), valid: false },
+    { name: 'split_at with both', rules: rule({ action: { type: 'split_at', regex: 'x', dictionary: true } }), valid: false },
+    {
+        name: 'split_at with dictionary and compound',
+        rules: rule({ action: { type: 'split_at', dictionary: true, compound: true } }),
+        valid: false
+    },
+    { name: 'compound on keep', rules: rule({ action: { type: 'keep', compound: true } }), valid: false },
+    { name: 'merge_range on one segment', rules: rule({ action: 'merge_range' }), valid: false },
+    { name: 'unknown check', rules: check({ target: 'prev', check: 'is_word' }), valid: false },
+    { name: 'unknown target', rules: check({ target: 'before', check: 'is_digit' }), valid: false },
+    { name: 'boolean check with a string', rules: check({ target: 'prev', check: 'is_separator', value: 'yes' }), valid: false },
+    { name: 'length without bounds', rules: check({ target: 'prev', check: 'length' }), valid: false },
+    { name: 'length with a string', rules: check({ target: 'prev', check: 'length', value: '2' }), valid: false },
+    { name: 'min on a boolean check', rules: check({ target: 'prev', check: 'is_digit', min: 1 }), valid: false },
+    { name: 'regex check without value', rules: check({ target: 'prev', check: 'regex' }), valid: false },
+    { name: 'exact_match check with a number', rules: check({ target: 'prev', check: 'exact_match', value: 1 }), valid: false },
+    { name: 'value without check', rules: check({ target: 'prev', value: true }), valid: false },
+    { name: 'exists not a boolean', rules: check({ target: 'prev', exists: 1 }), valid: false },
+    { name: 'is_isolated on another target', rules: check({ target: 'prev', check: 'is_isolated' }), valid: false },
+    { name: 'group with extra keys', rules: check({ not: { target: 'prev' }, target: 'next' }), valid: false },
+    { name: 'test input not an array', rules: rule({ tests: [{ input: 'a', expected: ['a'] }] }), valid: false },
+
+    // Invalid, but only the validator can tell
+    { name: 'invalid trigger regex', rules: rule({ trigger: { type: 'regex', value: '(' } }), valid: false, schemaBlind: true },
+    { name: 'invalid check regex', rules: check({ target: 'prev', check: 'regex', value: '[' }), valid: false, schemaBlind: true },
+    { name: 'invalid split regex', rules: rule({ action: { type: 'split_at', regex: '(' } }), valid: false, schemaBlind: true },
+    { name: 'duplicate names', rules: [base, { ...base }], valid: false, schemaBlind: true },
+    {
+        name: 'merge_range inside a pattern on one segment',
+        rules: rule({ trigger: { type: 'pattern', value: ['a', 'b'] }, action: { type: 'merge_range', from: 1 } }),
+        valid: false,
+        schemaBlind: true
+    }
+];
@@ -0,0 +1,50 @@
+// Rule Tests
+// Runs the test cases attached to rules (`tests` in rules.json, see
+// rule_engine.js). Each case feeds its input segments through the whole
+// rule set, so interactions between rules are covered too.
+
+import { RuleBasedEngine } from './rule_engine.js';
+
+// `segmenter` supplies the dictionary and character classes the checks
+// use; its own rules are left untouched. Returns
+// { passed, failed: [{ rule, index, input, expected, actual }], errors },
+// where errors are validation problems (no tests run if there are any).
+export function runRuleTests(segmenter, rules) {
+    const errors = RuleBasedEngine.validateRules(rules);
+    if (errors.length > 0) return { passed: 0, failed: [], errors };
+
+    const saved = segmenter.ruleEngine;
+    segmenter.setRules(JSON.parse(JSON.stringify(rules)));
+    const engine = segmenter.ruleEngine;
+    segmenter.ruleEngine = saved;
+
+    let passed = 0;
+    const failed = [];
+    for (const rule of rules) {
+        (rule.tests || []).forEach((test, index) => {
+            const actual = engine.applyRules([...test.input]);
+            const ok = actual.length === test.expected.length &&
+                actual.every((seg, k) => seg === test.expected[k]);
+            if (ok) passed++;
+            else failed.push({ rule: rule.name, index, input: test.input, expected: test.expected, actual });
+        });
+    }
+    return { passed, failed, errors };
+}
+
+// Samples (see rule_schema_samples.js) on which rules.schema.json and
+// RuleBasedEngine.validateRules disagree, or give the wrong verdict.
+// `schemaAccepts` is (rules) => boolean, e.g. a compiled JSON schema
+// validator. Returns [{ name, expected, schema, validator }].
+export function compareWithSchema(schemaAccepts, samples) {
+    const problems = [];
+    for (const { name, rules, valid, schemaBlind } of samples) {
+        const schema = schemaAccepts(rules);
+        const validator = RuleBasedEngine.validateRules(rules).length === 0;
+        const schemaExpected = schemaBlind ? true : valid;
+        if (schema !== schemaExpected || validator !== valid) {
+            problems.push({ name, expected: valid, schema, validator });
+        }
+    }
+    return problems;
+}
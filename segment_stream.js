@@ -0,0 +1,170 @@
+// Streaming Segmentation
+// Cuts an incoming stream of text into pieces at boundaries that no
+// dictionary word crosses (after Khmer sentence marks or whitespace),
+// segments the pieces independently and yields their tokens in order, with
+// offsets relative to the whole stream. Memory stays bounded by maxSize and
+// the number of pieces in flight, however long a paragraph is.
+//
+// segmentFn(piece) returns (or resolves to) tokens carrying `start`/`end`
+// offsets into the piece; all other token fields are passed through.
+//
+// A piece with no safe boundary in maxSize chars is cut between clusters,
+// which may split a word. Its last token is therefore not trusted: the text
+// from its start goes back in front of the buffer and is segmented again
+// with what follows.
+
+const DEFAULTS = {
+    targetSize: 4096, // Preferred piece length
+    maxSize: 16384, // Hard limit; forces a cut between clusters if needed
+    concurrency: 1 // Pieces segmented at the same time
+};
+
+function isBoundaryChar(code) {
+    // ។ ៕ (Khan, Bariyoosan) and whitespace
+    return code === 0x17D4 || code === 0x17D5 || code === 0x20 || code === 0x09 ||
+        code === 0x0A || code === 0x0D || code === 0x3000 || code === 0x00A0;
+}
+
+function isAttachedChar(code) {
+    // Dependent vowels, signs and coeng belong to the preceding base
+    return (code >= 0x17B6 && code <= 0x17D3) || code === 0x17DD;
+}
+
+// Index just after the last safe boundary in text[0, limit), or -1. A \r is
+// only a boundary once it is known not to start a \r\n pair.
+export function findSafeBoundary(text, limit = text.length) {
+    for (let i = Math.min(limit, text.length) - 1; i >= 0; i--) {
+        const code = text.charCodeAt(i);
+        if (code === 0x0D && (i + 1 >= text.length || text.charCodeAt(i + 1) === 0x0A)) continue;
+        if (isBoundaryChar(code)) return i + 1;
+    }
+    return -1;
+}
+
+// Last position <= limit that does not split an orthographic cluster or a
+// \r\n pair. Used only when a piece has no safe boundary at all.
+export function findClusterBoundary(text, limit) {
+    let i = Math.min(limit, text.length);
+    while (i > 1) {
+        const code = text.charCodeAt(i);
+        const prev = text.charCodeAt(i - 1);
+        if (!isAttachedChar(code) && prev !== 0x17D2 && !(prev === 0x0D && code === 0x0A)) break;
+        i--;
+    }
+    return i;
+}
+
+// Splits off the next piece from the front of `buffer`, as
+// { piece, forced }, or returns null if more text is needed first. With
+// `final`, whatever is left is the last piece.
+function takePiece(buffer, options, final) {
+    const { targetSize, maxSize } = options;
+    if (buffer.length === 0) return null;
+    if (buffer.length >= targetSize) {
+        const cut = findSafeBoundary(buffer, maxSize);
+        if (cut > 0) return { piece: buffer.slice(0, cut), forced: false };
+        if (buffer.length >= maxSize || final) {
+            return { piece: buffer.slice(0, findClusterBoundary(buffer, maxSize)), forced: true };
+        }
+        return null; // Wait for a boundary
+    }
+    return final ? { piece: buffer, forced: false } : null;
+}
+
+// Splits off as many complete pieces from `buffer` as possible.
+// Returns { pieces, rest }. With `final`, the rest is emitted as well.
+export function takePieces(buffer, options, final = false) {
+    options = { ...DEFAULTS, ...options };
+    const pieces = [];
+    let next;
+    while ((next = takePiece(buffer, options, final))) {
+        pieces.push(next.piece);
+        buffer = buffer.slice(next.piece.length);
+    }
+    return { pieces, rest: buffer };
+}
+
+// Shared by segmentChunks and createSegmentStream: buffers the text, keeps
+// up to `concurrency` pieces in flight and hands back their tokens in order.
+class PieceScheduler {
+    constructor(segmentFn, options) {
+        this.segmentFn = segmentFn;
+        this.options = { ...DEFAULTS, ...options };
+        this.buffer = '';
+        this.offset = 0; // Stream position of the buffer start
+        this.inFlight = [];
+        this.forcedPending = false; // Nothing is taken after a forced piece until it is back
+    }
+
+    add(text) {
+        this.buffer += text;
+    }
+
+    // Next token array, or null when more input is needed (or, with
+    // `final`, when everything has been handed back)
+    async next(final = false) {
+        while (!this.forcedPending && this.inFlight.length < this.options.concurrency) {
+            const next = takePiece(this.buffer, this.options, final);
+            if (!next) break;
+            this._dispatch(next);
+        }
+        if (this.inFlight.length === 0) return null;
+        if (!final && !this.forcedPending && this.inFlight.length < this.options.concurrency) return null;
+        return this._collect(this.inFlight.shift());
+    }
+
+    _dispatch({ piece, forced }) {
+        const promise = Promise.resolve(this.segmentFn(piece));
+        // Handled here so a failure while an earlier piece is awaited is not
+        // reported as unhandled; _collect rethrows it in order
+        promise.catch(() => { });
+        this.inFlight.push({ promise, piece, base: this.offset, forced });
+        this.buffer = this.buffer.slice(piece.length);
+        this.offset += piece.length;
+        if (forced) this.forcedPending = true;
+    }
+
+    async _collect({ promise, piece, base, forced }) {
+        let tokens = await promise;
+        if (forced) {
+            this.forcedPending = false;
+            if (tokens.length > 1) {
+                const redo = tokens[tokens.length - 1].start;
+                tokens = tokens.slice(0, -1);
+                this.buffer = piece.slice(redo) + this.buffer;
+                this.offset = base + redo;
+            }
+        }
+        return tokens.map(t => ({ ...t, start: t.start + base, end: t.end + base }));
+    }
+}
+
+// Async generator over arrays of tokens. `source` is any (async) iterable
+// of string chunks, e.g. a Node stream with an encoding set, or a plain
+// array of strings.
+export async function* segmentChunks(source, segmentFn, options = {}) {
+    const scheduler = new PieceScheduler(segmentFn, options);
+    let tokens;
+    for await (const chunk of source) {
+        scheduler.add(chunk);
+        while ((tokens = await scheduler.next())) yield tokens;
+    }
+    while ((tokens = await scheduler.next(true))) yield tokens;
+}
+
+// Same as segmentChunks, as a TransformStream: write strings, read arrays
+// of tokens.
+export function createSegmentStream(segmentFn, options = {}) {
+    const scheduler = new PieceScheduler(segmentFn, options);
+    return new TransformStream({
+        async transform(chunk, controller) {
+            scheduler.add(chunk);
+            let tokens;
+            while ((tokens = await scheduler.next())) controller.enqueue(tokens);
+        },
+        async flush(controller) {
+            let tokens;
+            while ((tokens = await scheduler.next(true))) controller.enqueue(tokens);
+        }
+    });
+}
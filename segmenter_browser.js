@@ -1,10 +1,29 @@
 import { KhmerNormalizer } from './normalization.js';
 import { RuleBasedEngine } from './rule_engine.js';
+import { PrefixTrie } from './trie.js';
+import { decodeBundle } from './dictionary_bundle.js';
+
+// Bigram context at the start of a sentence and after punctuation, digits
+// or other non-words (BOUNDARY in frequency_training.js)
+const SENTENCE_START = '<s>';
 
 export class KhmerSegmenter {
-    // Constructor accepts raw content strings or objects
-    constructor(dictionaryContent, frequencyData, rulesData) {
+    // Constructor accepts raw content strings or objects, or a precompiled
+    // bundle (ArrayBuffer / SharedArrayBuffer, see dictionary_bundle.js) as
+    // dictionaryContent, in which case frequencyData is ignored.
+    // options.dictionaryIndex: 'trie' (default) walks a prefix trie for
+    // dictionary matches; 'set' keeps the original slice + Set scan.
+    // options.languageModel: 'unigram' (default) costs each word on its own;
+    // 'bigram' costs dictionary words given the previous word, using
+    // options.bigramData ({ prev: { word: count } }, see
+    // frequency_training.js) and backing off to the unigram costs.
+    // options.bigramDiscount: absolute discount for the bigram model.
+    // options.costs: tuning values overriding DEFAULT_COSTS, see below. They
+    // shape the word costs as the dictionary loads, so changing them means
+    // building a new segmenter.
+    constructor(dictionaryContent, frequencyData, rulesData, options = {}) {
         this.words = new Set();
+        this.trie = options.dictionaryIndex === 'set' ? null : new PrefixTrie();
         this.normalizer = new KhmerNormalizer();
         this.maxWordLength = 0;
 
@@ -12,23 +31,114 @@ export class KhmerSegmenter {
         this.wordCosts = {};
         this.defaultCost = 10.0;
         this.unknownCost = 20.0;
+        this.totalTokens = 0; // Sum of effective counts, kept for addWord()
+        // Raw counts as loaded from the frequency file (word -> count, with
+        // variants, and the count of every entry); kept for encodeBundle()
+        this.frequencyCounts = null;
+        this.entryCounts = null;
+        // Words that are in the dictionary only as a generated coeng variant
+        // of an entry, see _generateVariants(). removeWord() drops them with
+        // their entry; variants that are entries of their own stay.
+        this.generatedVariants = new Set();
+        this.costs = { ...KhmerSegmenter.DEFAULT_COSTS, ...options.costs };
+        this.minFreqFloor = this.costs.minFreqFloor;
 
         // Initialize Rule Engine
+        this.setRules(rulesData);
+
+        if (KhmerSegmenter._isBuffer(dictionaryContent)) {
+            this._loadBundle(dictionaryContent);
+        } else {
+            this._loadDictionary(dictionaryContent);
+            this._loadFrequencies(frequencyData);
+        }
+
+        // Bigram model: prev -> { counts: Map(word -> count), total, types }
+        this.languageModel = options.languageModel || 'unigram';
+        this.bigrams = null;
+        this.bigramDiscount = options.bigramDiscount ?? 0.75;
+        if (this.languageModel === 'bigram') {
+            this._loadBigrams(options.bigramData);
+        } else if (this.languageModel !== 'unigram') {
+            throw new Error(`Unknown language model "${this.languageModel}" (expected unigram or bigram)`);
+        }
+    }
+
+    // Replaces the post-processing rules (rules.json format). The array is
+    // sorted and compiled in place. Returns the rule errors, see
+    // RuleBasedEngine.validateRule.
+    setRules(rulesData) {
         // We need to bind methods to 'this' effectively or wrapper functions
         this.ruleEngine = new RuleBasedEngine(
             (seg) => this._isInvalidSingle(seg),
             (seg) => this._isSeparator(seg),
-            rulesData || []
+            rulesData || [],
+            {
+                inDictionary: (seg) => this.words.has(seg),
+                isDigit: (seg) => this._isDigit(seg),
+                isKhmer: (seg) => [...seg].every(c => this._isKhmerChar(c)),
+                decompose: (seg) => this.decompose(seg)
+            }
         );
+        return this.ruleEngine.errors;
+    }
+
+    // Tuning values of the cost model:
+    //   minFreqFloor         - smallest count a frequency is raised to; sets
+    //                          the cost of rare words and defaultCost
+    //   unknownPenalty       - unknownCost over defaultCost
+    //   repairPenalty        - extra cost of the forced single-char edge after
+    //                          a stray coeng or dependent vowel
+    //   invalidSinglePenalty - extra cost of an unknown single consonant that
+    //                          is not a valid word on its own
+    //   numberCost           - cost of a digit group
+    //   separatorCost        - cost of a separator char
+    //   wordPenalty          - added to every dictionary word; positive values
+    //                          favour fewer, longer words, negative ones more,
+    //                          shorter words
+    //   compoundMargin       - how much dearer than the whole token a part may
+    //                          be for decompose() to split it
+    static DEFAULT_COSTS = {
+        minFreqFloor: 5.0,
+        unknownPenalty: 5.0,
+        repairPenalty: 50.0,
+        invalidSinglePenalty: 10.0,
+        numberCost: 1.0,
+        separatorCost: 0.1,
+        wordPenalty: 0.0,
+        compoundMargin: 1.0
+    };
+
+    static _isBuffer(content) {
+        if (content instanceof ArrayBuffer) return true;
+        return typeof SharedArrayBuffer !== 'undefined' && content instanceof SharedArrayBuffer;
+    }
+
+    // The bundle holds raw counts, so costs are computed here with this
+    // segmenter's minFreqFloor, the same way _loadFrequencies does
+    _loadBundle(buffer) {
+        const bundle = decodeBundle(buffer);
 
-        this._loadDictionary(dictionaryContent);
-        this._loadFrequencies(frequencyData);
+        this.maxWordLength = bundle.maxWordLength;
+        const wordCounts = [];
+        for (let idx = 0; idx < bundle.words.length; idx++) {
+            const word = bundle.words[idx];
+            if (bundle.inDictionary[idx]) {
+                this.words.add(word);
+                if (this.trie) this.trie.insert(word);
+            }
+            if (bundle.generatedVariant[idx]) this.generatedVariants.add(word);
+            const count = bundle.counts[idx];
+            if (!Number.isNaN(count)) wordCounts.push([word, count]);
+        }
+        this._applyCounts(wordCounts, bundle.entryCounts);
     }
 
     _loadDictionary(content) {
         if (!content) return;
 
         const lines = content.split(/\r?\n/);
+        const entries = new Set();
 
         for (let line of lines) {
             let word = line.trim().replace(/[\u200b\u200c\u200d]/g, '');
@@ -37,6 +147,7 @@ export class KhmerSegmenter {
                     continue;
                 }
 
+                entries.add(word);
                 this.words.add(word);
                 if (word.length > this.maxWordLength) {
                     this.maxWordLength = word.length;
@@ -96,6 +207,13 @@ export class KhmerSegmenter {
             if (word.length > this.maxWordLength) {
                 this.maxWordLength = word.length;
             }
+            if (!entries.has(word)) this.generatedVariants.add(word);
+        }
+
+        if (this.trie) {
+            for (const word of this.words) {
+                this.trie.insert(word);
+            }
         }
 
         // console.log(`Loaded ${this.words.size} words. Max length: ${this.maxWordLength}`);
@@ -165,31 +283,46 @@ export class KhmerSegmenter {
             return;
         }
 
-        const minFreqFloor = 5.0;
-        const effectiveCounts = {};
-        let totalTokens = 0;
+        const counts = {};
+        const entryCounts = [];
 
         for (let [word, count] of Object.entries(data)) {
             word = word.replace(/[\u200b\u200c\u200d]/g, '');
-            const eff = Math.max(count, minFreqFloor);
-            effectiveCounts[word] = eff;
+            counts[word] = count;
 
             const variants = this._generateVariants(word);
             for (const v of variants) {
-                if (!(v in effectiveCounts)) {
-                    effectiveCounts[v] = eff;
+                if (!(v in counts)) {
+                    counts[v] = count;
                 }
             }
-            totalTokens += eff;
+            entryCounts.push(count);
+        }
+
+        this.frequencyCounts = counts;
+        this.entryCounts = entryCounts;
+        this._applyCounts(Object.entries(counts), entryCounts);
+    }
+
+    // Costs from raw counts: every count is raised to minFreqFloor, and the
+    // total sums the entries of the frequency file (a word and its variants
+    // count once)
+    _applyCounts(wordCounts, entryCounts) {
+        const minFreqFloor = this.minFreqFloor;
+        let totalTokens = 0;
+        for (const count of entryCounts) {
+            totalTokens += Math.max(count, minFreqFloor);
         }
 
+        this.totalTokens = totalTokens;
+
         if (totalTokens > 0) {
             const minProb = minFreqFloor / totalTokens;
             this.defaultCost = -Math.log10(minProb);
-            this.unknownCost = this.defaultCost + 5.0;
+            this.unknownCost = this.defaultCost + this.costs.unknownPenalty;
 
-            for (const [word, count] of Object.entries(effectiveCounts)) {
-                const prob = count / totalTokens;
+            for (const [word, count] of wordCounts) {
+                const prob = Math.max(count, minFreqFloor) / totalTokens;
                 if (prob > 0) {
                     this.wordCosts[word] = -Math.log10(prob);
                 }
@@ -197,6 +330,154 @@ export class KhmerSegmenter {
         }
     }
 
+    _loadBigrams(data) {
+        this.bigrams = new Map();
+        if (!data) {
+            console.log(`No bigram data provided. Using unigram costs.`);
+            return;
+        }
+
+        for (let [prev, next] of Object.entries(data)) {
+            prev = prev.replace(/[\u200b\u200c\u200d]/g, '');
+            const entry = this.bigrams.get(prev) || { counts: new Map(), total: 0, types: 0 };
+            for (let [word, count] of Object.entries(next)) {
+                word = word.replace(/[\u200b\u200c\u200d]/g, '');
+                if (!(count > 0)) continue;
+                entry.counts.set(word, (entry.counts.get(word) || 0) + count);
+                entry.total += count;
+            }
+            entry.types = entry.counts.size;
+            if (entry.total > 0) this.bigrams.set(prev, entry);
+        }
+    }
+
+    // Cost of an edge taken after `context` under the bigram model.
+    // Dictionary words use interpolated absolute discounting:
+    //   P(w|prev) = max(c(prev,w) - D, 0) / c(prev)
+    //             + D * types(prev) / c(prev) * P(w)
+    // with P(w) from the unigram cost. Other edges, and words after a
+    // context without statistics, keep their unigram cost.
+    _contextCost(context, word, type, unigramCost) {
+        if (type !== 'dictionary') return unigramCost;
+        const entry = this.bigrams.get(context);
+        if (!entry) return unigramCost;
+
+        // wordPenalty is not part of the probability; reapply it afterwards
+        const penalty = this.costs.wordPenalty;
+        const d = this.bigramDiscount;
+        const count = entry.counts.get(word) || 0;
+        const prob = Math.max(count - d, 0) / entry.total +
+            (d * entry.types / entry.total) * Math.pow(10, -(unigramCost - penalty));
+        return prob > 0 ? -Math.log10(prob) + penalty : unigramCost;
+    }
+
+    // Context the next edge is costed in after taking this one. Words
+    // without bigram statistics share the '' context, so they don't
+    // multiply the search states.
+    _nextContext(word, type) {
+        if (type === 'separator' || type === 'number' || type === 'acronym') return SENTENCE_START;
+        if (type === 'unknown' && !this._isKhmerChar(word[0])) return SENTENCE_START;
+        return this.bigrams.has(word) ? word : '';
+    }
+
+    // ------------------------------------------------------------
+    // Runtime dictionary edits
+    // ------------------------------------------------------------
+
+    // Adds a word (and its coeng ordering variants). With a frequency, the
+    // cost is derived the same way as in _loadFrequencies; otherwise the word
+    // uses defaultCost unless it already has one. Returns false if the word
+    // is rejected by the same filters _loadDictionary applies.
+    addWord(word, freq = null) {
+        word = word.trim().replace(/[\u200b\u200c\u200d]/g, '');
+        if (!this._isAllowedWord(word)) return false;
+
+        // Variants already in the dictionary keep their status and cost
+        this.generatedVariants.delete(word);
+        const added = [];
+        for (const v of this._generateVariants(word)) {
+            if (v === word || this.words.has(v)) continue;
+            this.generatedVariants.add(v);
+            added.push(v);
+        }
+
+        for (const w of [word, ...added]) {
+            this.words.add(w);
+            if (this.trie) this.trie.insert(w);
+            if (w.length > this.maxWordLength) {
+                this.maxWordLength = w.length;
+            }
+        }
+
+        if (freq !== null && freq !== undefined && this.totalTokens > 0) {
+            const eff = Math.max(freq, this.minFreqFloor);
+            const cost = -Math.log10(eff / this.totalTokens);
+            for (const w of [word, ...added]) {
+                this.wordCosts[w] = cost;
+            }
+        }
+        return true;
+    }
+
+    // Removes a word and its generated coeng variants, whether they came
+    // from the dictionary file or from addWord(). Variants that are entries
+    // of their own stay, with their costs. Returns false if the word was not
+    // in the dictionary.
+    removeWord(word) {
+        word = word.trim().replace(/[\u200b\u200c\u200d]/g, '');
+        if (!this.words.has(word)) return false;
+
+        const variants = [...this._generateVariants(word)].filter(v => v !== word && this.generatedVariants.has(v));
+
+        let recompute = false;
+        for (const w of [word, ...variants]) {
+            this.generatedVariants.delete(w);
+            if (this.trie) this.trie.delete(w);
+            if (this.words.delete(w) && w.length === this.maxWordLength) {
+                recompute = true;
+            }
+            delete this.wordCosts[w];
+        }
+
+        if (recompute) {
+            this.maxWordLength = 0;
+            for (const w of this.words) {
+                if (w.length > this.maxWordLength) {
+                    this.maxWordLength = w.length;
+                }
+            }
+        }
+        return true;
+    }
+
+    // Overrides the cost of a word and its coeng ordering variants
+    setWordCost(word, cost) {
+        word = word.trim().replace(/[\u200b\u200c\u200d]/g, '');
+        for (const w of [word, ...this._generateVariants(word)]) {
+            this.wordCosts[w] = cost;
+        }
+    }
+
+    // Mirrors the filters applied while loading the dictionary file
+    _isAllowedWord(word) {
+        if (!word) return false;
+        if (word.length === 1 && !this._isValidSingleBaseChar(word)) return false;
+        if (word.includes('ៗ')) return false;
+        if (word.startsWith('\u17D2')) return false;
+
+        if (word.includes("ឬ") && word.length > 1) {
+            if (word.startsWith("ឬ")) {
+                if (this.words.has(word.substring(1))) return false;
+            } else if (word.endsWith("ឬ")) {
+                if (this.words.has(word.slice(0, -1))) return false;
+            } else {
+                const parts = word.split("ឬ");
+                if (parts.every(p => this.words.has(p) || p === "")) return false;
+            }
+        }
+        return true;
+    }
+
     getWordCost(word) {
         if (word in this.wordCosts) return this.wordCosts[word];
         if (this.words.has(word)) return this.defaultCost;
@@ -337,140 +618,398 @@ export class KhmerSegmenter {
 
     segment(text, disablePostProcessing = false) {
         text = this.normalizer.normalize(text);
-        const n = text.length;
-        if (n === 0) return [];
+        return this._segmentNormalized(text, disablePostProcessing);
+    }
 
-        const dp = new Array(n + 1);
-        for (let i = 0; i <= n; i++) dp[i] = [Infinity, -1];
-        dp[0] = [0.0, -1];
+    // Like segment(), but returns each token with its [start, end) offsets
+    // into the original, un-normalized input, plus the normalized text.
+    // options.decompose: tokens that split into smaller dictionary words
+    // (see decompose()) also carry `parts`, each { text, start, end }.
+    segmentWithOffsets(text, disablePostProcessing = false, options = {}) {
+        const norm = this.normalizer.normalizeWithOffsets(text);
+        const segments = this._segmentNormalized(norm.text, disablePostProcessing);
+        return { normalized: norm.text, tokens: this._attachOffsets(norm, segments, options.decompose) };
+    }
 
-        for (let i = 0; i < n; i++) {
-            if (dp[i][0] === Infinity) continue;
+    // Like segmentWithOffsets(), but every token also carries a `trace`
+    // describing how it was produced: the Viterbi edges it is built from
+    // (with their type and cost), the rules that touched it, and whether the
+    // final unknown-merging step glued it together.
+    segmentWithTrace(text, disablePostProcessing = false) {
+        const norm = this.normalizer.normalizeWithOffsets(text);
+        const path = this._viterbi(norm.text);
 
-            let forceRepair = false;
+        let segments = path.map(edge => edge.text);
+        const traces = path.map(edge => ({ parts: [edge], cost: edge.cost, rules: [], unknownMerge: false }));
 
-            // 1. Prev char was Coeng
-            if (i > 0 && text[i - 1] === '\u17D2') {
-                const charCode = text[i].charCodeAt(0);
-                if (charCode >= 0x1780 && charCode <= 0x17A2) {
-                    // Valid attached, we shouldn't be here, but if we are...
-                    forceRepair = true;
-                } else {
-                    forceRepair = true;
-                }
-            }
+        if (!disablePostProcessing) {
+            segments = this._postProcess(segments, traces);
+        }
 
-            // 2. Current char is Dep Vowel
-            const curCode = text[i].charCodeAt(0);
-            if (curCode >= 0x17B6 && curCode <= 0x17C5) {
-                forceRepair = true;
-            }
+        const tokens = this._attachOffsets(norm, segments, false, traces);
+        tokens.forEach((token, idx) => {
+            const trace = traces[idx];
+            trace.source = this._traceSource(trace);
+            token.trace = trace;
+        });
 
-            if (forceRepair) {
-                const nextIdx = i + 1;
-                const newCost = dp[i][0] + this.unknownCost + 50.0;
-                if (nextIdx <= n && newCost < dp[nextIdx][0]) {
-                    dp[nextIdx] = [newCost, i];
-                }
-                continue;
-            }
+        return { normalized: norm.text, tokens };
+    }
 
-            // 1. Number Grouping
-            if (this._isDigit(text[i])) {
-                const numLen = this._getNumberLength(text, i);
-                const nextIdx = i + numLen;
-                const stepCost = 1.0;
-                if (dp[i][0] + stepCost < dp[nextIdx][0]) {
-                    dp[nextIdx] = [dp[i][0] + stepCost, i];
-                }
-            }
-            // 2. Separators
-            else if (this._isSeparator(text[i])) {
-                const nextIdx = i + 1;
-                const stepCost = 0.1;
-                if (dp[i][0] + stepCost < dp[nextIdx][0]) {
-                    dp[nextIdx] = [dp[i][0] + stepCost, i];
-                }
-            }
-            // 3. Acronyms
-            if (this._isAcronymStart(text, i)) {
-                const acrLen = this._getAcronymLength(text, i);
-                const nextIdx = i + acrLen;
-                const stepCost = this.defaultCost;
-                if (dp[i][0] + stepCost < dp[nextIdx][0]) {
-                    dp[nextIdx] = [dp[i][0] + stepCost, i];
-                }
-            }
+    _traceSource(trace) {
+        if (trace.unknownMerge) return 'unknown_merge';
+        // Edges joined without a rule are the pieces of one original char
+        if (trace.parts.length > 1 && trace.rules.length > 0) return 'rule';
+        return trace.parts[0].type;
+    }
 
-            // 3. Dictionary Match
-            const endLimit = Math.min(n, i + this.maxWordLength);
-            for (let j = i + 1; j <= endLimit; j++) {
-                const word = text.slice(i, j);
-                if (this.words.has(word)) {
-                    const wordCost = this.getWordCost(word);
-                    const newCost = dp[i][0] + wordCost;
-                    if (newCost < dp[j][0]) {
-                        dp[j] = [newCost, i];
-                    }
-                }
+    // Tokens never overlap in the original: segments (and compound parts)
+    // are joined where the original cannot be cut, see _cutPoints().
+    // `traces`, if given, is joined alike, in place.
+    _attachOffsets(norm, segments, decompose = false, traces = null) {
+        const cuttable = this._cutPoints(norm);
+        segments = this._joinAtCutPoints(cuttable, segments, 0, traces);
+
+        // Segments always concatenate back to the normalized text, so a
+        // running position is enough to find each token's normalized chars.
+        const tokens = [];
+        let pos = 0;
+        for (const seg of segments) {
+            const token = { text: seg, ...this._span(norm, pos, pos + seg.length) };
+            const pieces = decompose ? this.decompose(seg) : null;
+            const joined = pieces && this._joinAtCutPoints(cuttable, pieces, pos);
+            if (joined && joined.length > 1) {
+                let piecePos = pos;
+                token.parts = joined.map(piece => {
+                    const part = { text: piece, ...this._span(norm, piecePos, piecePos + piece.length) };
+                    piecePos += piece.length;
+                    return part;
+                });
             }
+            tokens.push(token);
+            pos += seg.length;
+        }
+        return tokens;
+    }
 
-            // 4. Unknown Fallback
-            if (this._isKhmerChar(text[i])) {
-                const clusterLen = this._getKhmerClusterLength(text, i);
-                let stepCost = this.unknownCost;
+    // cuttable[k] is 0 where the normalized text splits at k but the
+    // original cannot: some char before k comes from where a char after it
+    // does. That happens when a deprecated char is written as several
+    // (U+17D8 as ។ល។, all from the one original char).
+    _cutPoints(norm) {
+        const n = norm.text.length;
+        const cuttable = new Uint8Array(n + 1).fill(1);
+        const minStart = new Array(n + 1);
+        minStart[n] = Infinity;
+        for (let k = n - 1; k >= 0; k--) minStart[k] = Math.min(norm.starts[k], minStart[k + 1]);
+        let maxEnd = -Infinity;
+        for (let k = 1; k < n; k++) {
+            maxEnd = Math.max(maxEnd, norm.ends[k - 1]);
+            if (maxEnd > minStart[k]) cuttable[k] = 0;
+        }
+        return cuttable;
+    }
 
-                if (clusterLen === 1) {
-                    if (!this._isValidSingleBaseChar(text[i])) {
-                        stepCost += 10.0;
-                    }
-                }
-                const nextIdx = i + clusterLen;
-                if (nextIdx <= n) {
-                    if (dp[i][0] + stepCost < dp[nextIdx][0]) {
-                        dp[nextIdx] = [dp[i][0] + stepCost, i];
-                    }
+    // `pieces` (starting at normalized offset `from`) with each piece that
+    // starts where the text cannot be cut appended to the one before
+    _joinAtCutPoints(cuttable, pieces, from, traces = null) {
+        const joined = [];
+        const joinedTraces = [];
+        let pos = from;
+        pieces.forEach((piece, idx) => {
+            if (joined.length > 0 && !cuttable[pos]) {
+                joined[joined.length - 1] += piece;
+                if (traces) {
+                    const prev = joinedTraces[joinedTraces.length - 1];
+                    joinedTraces[joinedTraces.length - 1] = {
+                        parts: [...prev.parts, ...traces[idx].parts],
+                        cost: prev.cost + traces[idx].cost,
+                        rules: [...prev.rules, ...traces[idx].rules],
+                        unknownMerge: prev.unknownMerge || traces[idx].unknownMerge
+                    };
                 }
             } else {
-                const clusterLen = 1;
-                const stepCost = this.unknownCost;
-                const nextIdx = i + clusterLen;
-                if (nextIdx <= n) {
-                    if (dp[i][0] + stepCost < dp[nextIdx][0]) {
-                        dp[nextIdx] = [dp[i][0] + stepCost, i];
-                    }
-                }
+                joined.push(piece);
+                if (traces) joinedTraces.push(traces[idx]);
             }
+            pos += piece.length;
+        });
+        if (traces) traces.splice(0, traces.length, ...joinedTraces);
+        return joined;
+    }
+
+    // Original [start, end) of the normalized chars [from, to)
+    _span(norm, from, to) {
+        let start = Infinity;
+        let end = -Infinity;
+        for (let k = from; k < to; k++) {
+            if (norm.starts[k] < start) start = norm.starts[k];
+            if (norm.ends[k] > end) end = norm.ends[k];
+        }
+        return { start, end };
+    }
+
+    _segmentNormalized(text, disablePostProcessing) {
+        if (text.length === 0) return [];
+
+        const rawSegments = this._viterbi(text).map(edge => edge.text);
+
+        if (disablePostProcessing) return rawSegments;
+
+        return this._postProcess(rawSegments);
+    }
+
+    // Best path through the lattice, as the list of edges
+    // { text, type, cost } it takes.
+    _viterbi(text) {
+        const n = text.length;
+        if (n === 0) return [];
+        if (this.bigrams) return this._viterbiBigram(text);
+
+        // dp[i] = [cost, prev, type, stepCost]
+        const dp = new Array(n + 1);
+        for (let i = 0; i <= n; i++) dp[i] = [Infinity, -1, null, 0];
+        dp[0] = [0.0, -1, null, 0];
+
+        for (let i = 0; i < n; i++) {
+            if (dp[i][0] === Infinity) continue;
+
+            this._forEachEdge(text, i, (nextIdx, stepCost, type) => {
+                const newCost = dp[i][0] + stepCost;
+                if (newCost < dp[nextIdx][0]) {
+                    dp[nextIdx] = [newCost, i, type, stepCost];
+                }
+            });
         }
 
         // Backtrack
-        const segments = [];
+        const path = [];
         let curr = n;
         while (curr > 0) {
-            const [cost, prev] = dp[curr];
+            const [cost, prev, type, stepCost] = dp[curr];
             if (prev === -1) {
                 // If stuck, just take 1 char... but prevent infinite loop
                 // Fallback: This usually shouldn't happen if unknown fallback covers all
                 // throw new Error(`Could not segment text. Stuck at index ${curr}`);
                 // Silent recovery for UI
-                segments.push(text.slice(curr - 1, curr));
+                path.push({ text: text.slice(curr - 1, curr), type: 'unknown', cost: this.unknownCost });
                 curr = curr - 1;
             } else {
-                segments.push(text.slice(prev, curr));
+                const edge = { text: text.slice(prev, curr), type, cost: stepCost };
+                if (type === 'dictionary') edge.inFrequencyTable = edge.text in this.wordCosts;
+                path.push(edge);
                 curr = prev;
             }
         }
 
-        const rawSegments = segments.reverse();
+        return path.reverse();
+    }
 
-        if (disablePostProcessing) return rawSegments;
+    // Viterbi for the bigram model: the search state is the position plus
+    // the context of the last word (see _nextContext).
+    _viterbiBigram(text) {
+        const n = text.length;
+
+        // states[i]: context -> { cost, prev, prevContext, type, stepCost }
+        const states = new Array(n + 1);
+        for (let i = 0; i <= n; i++) states[i] = new Map();
+        states[0].set(SENTENCE_START, { cost: 0.0, prev: -1, prevContext: null, type: null, stepCost: 0 });
+
+        for (let i = 0; i < n; i++) {
+            if (states[i].size === 0) continue;
+
+            const edges = [];
+            this._forEachEdge(text, i, (nextIdx, stepCost, type) => {
+                const word = text.slice(i, nextIdx);
+                edges.push({ nextIdx, word, unigramCost: stepCost, type, next: this._nextContext(word, type) });
+            });
+
+            for (const [context, state] of states[i]) {
+                for (const edge of edges) {
+                    const stepCost = this._contextCost(context, edge.word, edge.type, edge.unigramCost);
+                    const newCost = state.cost + stepCost;
+                    const target = states[edge.nextIdx].get(edge.next);
+                    if (!target || newCost < target.cost) {
+                        states[edge.nextIdx].set(edge.next, {
+                            cost: newCost, prev: i, prevContext: context, type: edge.type, stepCost
+                        });
+                    }
+                }
+            }
+        }
 
-        const pass2Segments = this.ruleEngine.applyRules(rawSegments);
+        const bestContext = (pos) => {
+            let best = null;
+            for (const [context, state] of states[pos]) {
+                if (best === null || state.cost < states[pos].get(best).cost) best = context;
+            }
+            return best;
+        };
+
+        // Backtrack
+        const path = [];
+        let curr = n;
+        let context = bestContext(n);
+        while (curr > 0) {
+            const state = context === null ? null : states[curr].get(context);
+            if (!state) {
+                // Unreachable position, same recovery as _viterbi
+                path.push({ text: text.slice(curr - 1, curr), type: 'unknown', cost: this.unknownCost });
+                curr = curr - 1;
+                context = bestContext(curr);
+            } else {
+                const edge = { text: text.slice(state.prev, curr), type: state.type, cost: state.stepCost };
+                if (state.type === 'dictionary') edge.inFrequencyTable = edge.text in this.wordCosts;
+                path.push(edge);
+                curr = state.prev;
+                context = state.prevContext;
+            }
+        }
+
+        return path.reverse();
+    }
+
+    // Calls emit(nextIdx, stepCost, type) for every candidate edge leaving
+    // position i. Edge order matters: on equal cost the first edge wins.
+    _forEachEdge(text, i, emit) {
+        const n = text.length;
+        let forceRepair = false;
+
+        // 1. Prev char was Coeng
+        if (i > 0 && text[i - 1] === '\u17D2') {
+            const charCode = text[i].charCodeAt(0);
+            if (charCode >= 0x1780 && charCode <= 0x17A2) {
+                // Valid attached, we shouldn't be here, but if we are...
+                forceRepair = true;
+            } else {
+                forceRepair = true;
+            }
+        }
+
+        // 2. Current char is Dep Vowel
+        const curCode = text[i].charCodeAt(0);
+        if (curCode >= 0x17B6 && curCode <= 0x17C5) {
+            forceRepair = true;
+        }
+
+        if (forceRepair) {
+            emit(i + 1, this.unknownCost + this.costs.repairPenalty, 'repair');
+            return;
+        }
+
+        // 1. Number Grouping
+        if (this._isDigit(text[i])) {
+            const numLen = this._getNumberLength(text, i);
+            emit(i + numLen, this.costs.numberCost, 'number');
+        }
+        // 2. Separators
+        else if (this._isSeparator(text[i])) {
+            emit(i + 1, this.costs.separatorCost, 'separator');
+        }
+        // 3. Acronyms
+        if (this._isAcronymStart(text, i)) {
+            const acrLen = this._getAcronymLength(text, i);
+            emit(i + acrLen, this.defaultCost, 'acronym');
+        }
+
+        // 3. Dictionary Match
+        const wordPenalty = this.costs.wordPenalty;
+        this._forEachWord(text, i, (j, word) => {
+            emit(j, this.getWordCost(word) + wordPenalty, 'dictionary');
+        });
+
+        // 4. Unknown Fallback
+        if (this._isKhmerChar(text[i])) {
+            const clusterLen = this._getKhmerClusterLength(text, i);
+            let stepCost = this.unknownCost;
+
+            if (clusterLen === 1) {
+                if (!this._isValidSingleBaseChar(text[i])) {
+                    stepCost += this.costs.invalidSinglePenalty;
+                }
+            }
+            const nextIdx = i + clusterLen;
+            if (nextIdx <= n) {
+                emit(nextIdx, stepCost, 'unknown');
+            }
+        } else {
+            emit(i + 1, this.unknownCost, 'unknown');
+        }
+    }
+
+    // Calls emit(j, word) for every dictionary word text.slice(i, j)
+    _forEachWord(text, i, emit) {
+        if (this.trie) {
+            // Only matched words are sliced; the walk ends at the first
+            // character that no dictionary prefix continues with.
+            this.trie.forEachPrefix(text, i, (j) => emit(j, text.slice(i, j)));
+        } else {
+            const endLimit = Math.min(text.length, i + this.maxWordLength);
+            for (let j = i + 1; j <= endLimit; j++) {
+                const word = text.slice(i, j);
+                if (this.words.has(word)) emit(j, word);
+            }
+        }
+    }
+
+    // Best split of a (normalized) token into two or more dictionary words,
+    // re-running the search inside it with dictionary edges only. Returns
+    // the pieces, or null if the token has no such split.
+    //
+    // Single letters are dictionary entries too, but never parts of a
+    // compound (ផ្សារ is not ផ្សា + រ). And the parts of a compound are
+    // words about as common as it is: a part that costs more than
+    // compoundMargin over the whole token (កម្ពុ in កម្ពុជា) means the
+    // token is a word of its own.
+    decompose(token) {
+        const n = token.length;
+        if (n < 2) return null;
+
+        const best = new Array(n + 1).fill(Infinity);
+        const back = new Array(n + 1).fill(-1);
+        best[0] = 0;
+        for (let i = 0; i < n; i++) {
+            if (best[i] === Infinity) continue;
+            this._forEachWord(token, i, (j, word) => {
+                if (i === 0 && j === n) return; // The token itself
+                if (word.length < 2) return;
+                const cost = best[i] + this.getWordCost(word) + this.costs.wordPenalty;
+                if (cost < best[j]) {
+                    best[j] = cost;
+                    back[j] = i;
+                }
+            });
+        }
+        if (best[n] === Infinity) return null;
+
+        const pieces = [];
+        for (let j = n; j > 0; j = back[j]) pieces.push(token.slice(back[j], j));
+
+        const limit = this.getWordCost(token) + this.costs.compoundMargin;
+        if (pieces.some(piece => this.getWordCost(piece) > limit)) return null;
+        return pieces.reverse();
+    }
+
+    // Rule engine pass followed by merging of adjacent unknown segments.
+    // If `traces` is given (one per raw segment), it is rewritten in place
+    // to line up with the returned segments.
+    _postProcess(rawSegments, traces = null) {
+        const pass2Segments = this.ruleEngine.applyRules(rawSegments, traces);
 
         const finalSegments = [];
+        const finalTraces = [];
         let unknownBuffer = [];
+        let bufferTraces = [];
+
+        const flushBuffer = () => {
+            finalSegments.push(unknownBuffer.join(""));
+            if (traces) finalTraces.push(this._mergeUnknownTraces(bufferTraces));
+            unknownBuffer = [];
+            bufferTraces = [];
+        };
 
-        for (const seg of pass2Segments) {
+        for (let idx = 0; idx < pass2Segments.length; idx++) {
+            const seg = pass2Segments[idx];
             let isKnown = false;
             // Check known status
             if (this._isDigit(seg[0])) isKnown = true;
@@ -481,10 +1020,10 @@ export class KhmerSegmenter {
 
             if (isKnown) {
                 if (unknownBuffer.length > 0) {
-                    finalSegments.push(unknownBuffer.join(""));
-                    unknownBuffer = [];
+                    flushBuffer();
                 }
                 finalSegments.push(seg);
+                if (traces) finalTraces.push(traces[idx]);
             } else {
                 if (unknownBuffer.length > 0) {
                     const lastChar = unknownBuffer[unknownBuffer.length - 1][0];
@@ -493,21 +1032,275 @@ export class KhmerSegmenter {
                     const isCurrKhmer = this._isKhmerChar(currChar);
 
                     if (isLastKhmer !== isCurrKhmer) {
-                        finalSegments.push(unknownBuffer.join(""));
-                        unknownBuffer = [];
+                        flushBuffer();
                     }
                 }
                 unknownBuffer.push(seg);
+                if (traces) bufferTraces.push(traces[idx]);
             }
         }
 
         if (unknownBuffer.length > 0) {
-            finalSegments.push(unknownBuffer.join(""));
+            flushBuffer();
         }
 
+        if (traces) traces.splice(0, traces.length, ...finalTraces);
+
         return finalSegments;
     }
 
+    _mergeUnknownTraces(bufferTraces) {
+        if (bufferTraces.length === 1) return bufferTraces[0];
+        return {
+            parts: bufferTraces.flatMap(t => t.parts),
+            cost: bufferTraces.reduce((sum, t) => sum + t.cost, 0),
+            rules: bufferTraces.flatMap(t => t.rules),
+            unknownMerge: true
+        };
+    }
+
+    // Returns every candidate edge reachable from the start of the text.
+    // Offsets refer to the returned normalized text. Costs are the unigram
+    // costs; under the bigram model they also depend on the previous word.
+    getLattice(text) {
+        text = this.normalizer.normalize(text);
+        const n = text.length;
+        const edges = [];
+        if (n === 0) return { normalized: text, edges };
+
+        const reachable = new Uint8Array(n + 1);
+        reachable[0] = 1;
+
+        for (let i = 0; i < n; i++) {
+            if (!reachable[i]) continue;
+
+            this._forEachEdge(text, i, (nextIdx, stepCost, type) => {
+                reachable[nextIdx] = 1;
+                edges.push({ start: i, end: nextIdx, text: text.slice(i, nextIdx), cost: stepCost, type });
+            });
+        }
+
+        return { normalized: text, edges };
+    }
+
+    // Returns up to k segmentations ordered by total path cost. Alternatives
+    // that become identical after post-processing are reported once; when
+    // that leaves fewer than k, the search is repeated for more raw paths.
+    segmentNBest(text, k = 5, disablePostProcessing = false) {
+        text = this.normalizer.normalize(text);
+        if (text.length === 0 || k <= 0) return [];
+
+        // Post-processing can map many raw paths (e.g. every split of an
+        // unknown run) to one result, so the widening stops at some point
+        const maxPaths = k * 64;
+        let paths = k;
+        while (true) {
+            const raw = this._nBestPaths(text, paths);
+            const results = [];
+            const seen = new Set();
+            for (const { segments, cost } of raw) {
+                const finalSegments = disablePostProcessing ? segments : this._postProcess(segments);
+                const key = finalSegments.join('\u200b');
+                if (seen.has(key)) continue;
+                seen.add(key);
+                results.push({ segments: finalSegments, cost });
+                if (results.length === k) return results;
+            }
+            if (raw.length < paths || paths >= maxPaths) return results;
+            paths = Math.min(paths * 4, maxPaths);
+        }
+    }
+
+    // The k cheapest distinct segmentations of normalized text, as
+    // { segments, cost }. Edges of different types can cover the same span
+    // (e.g. a dictionary word that is also one unknown cluster), so each
+    // path has the id of its boundary sequence and a DP cell keeps only the
+    // cheapest path per id.
+    _nBestPaths(text, k) {
+        const n = text.length;
+
+        // Boundary sequences are interned: a path's id comes from the id of
+        // the path it extends and the position it extends it from
+        const sequenceIds = new Map();
+        const sequenceId = (parentId, from) => {
+            const key = `${parentId},${from}`;
+            if (!sequenceIds.has(key)) sequenceIds.set(key, sequenceIds.size + 1);
+            return sequenceIds.get(key);
+        };
+
+        // dp[i] maps the context of the last word (see _nextContext; always
+        // '' for the unigram model) to up to k entries
+        // { cost, prev, prevContext, rank, id }, sorted by cost, where rank
+        // points at the entry in dp[prev] this path extends.
+        const dp = new Array(n + 1);
+        for (let i = 0; i <= n; i++) dp[i] = new Map();
+        dp[0].set(this.bigrams ? SENTENCE_START : '', [{ cost: 0.0, prev: -1, prevContext: null, rank: -1, id: 0 }]);
+
+        for (let i = 0; i < n; i++) {
+            if (dp[i].size === 0) continue;
+
+            this._forEachEdge(text, i, (nextIdx, unigramCost, type) => {
+                const word = this.bigrams ? text.slice(i, nextIdx) : null;
+                const nextContext = this.bigrams ? this._nextContext(word, type) : '';
+                if (!dp[nextIdx].has(nextContext)) dp[nextIdx].set(nextContext, []);
+                const target = dp[nextIdx].get(nextContext);
+
+                for (const [context, entries] of dp[i]) {
+                    const stepCost = this.bigrams
+                        ? this._contextCost(context, word, type, unigramCost)
+                        : unigramCost;
+                    for (let r = 0; r < entries.length; r++) {
+                        const newCost = entries[r].cost + stepCost;
+                        if (target.length === k && newCost >= target[k - 1].cost) break;
+
+                        const id = sequenceId(entries[r].id, i);
+                        const same = target.findIndex(entry => entry.id === id);
+                        if (same !== -1) {
+                            if (target[same].cost <= newCost) continue;
+                            target.splice(same, 1);
+                        }
+
+                        let pos = target.length;
+                        while (pos > 0 && target[pos - 1].cost > newCost) pos--;
+                        target.splice(pos, 0, { cost: newCost, prev: i, prevContext: context, rank: r, id });
+                        if (target.length > k) target.pop();
+                    }
+                }
+            });
+        }
+
+        // The same sequence can end in several contexts; keep its cheapest
+        const finals = [];
+        const seen = new Set();
+        for (const entry of [...dp[n].values()].flat().sort((a, b) => a.cost - b.cost)) {
+            if (seen.has(entry.id)) continue;
+            seen.add(entry.id);
+            finals.push(entry);
+            if (finals.length === k) break;
+        }
+
+        return finals.map(entry => {
+            const segments = [];
+            let curr = n;
+            let node = entry;
+            while (curr > 0) {
+                segments.push(text.slice(node.prev, curr));
+                curr = node.prev;
+                node = dp[curr].get(node.prevContext)[node.rank];
+            }
+            return { segments: segments.reverse(), cost: entry.cost };
+        });
+    }
+
+    // ------------------------------------------------------------
+    // Syllables
+    // ------------------------------------------------------------
+
+    // Splits text without the dictionary, into orthographic clusters (unit
+    // 'cluster': a base with its coeng subscripts, vowels and signs, as
+    // _getKhmerClusterLength walks them) or syllables (unit 'syllable':
+    // clusters with a final consonant attached to the cluster before it).
+    // Digit groups, separators and runs of other characters are one token.
+    segmentSyllables(text, unit = 'syllable') {
+        return this._syllabify(this.normalizer.normalize(text), unit);
+    }
+
+    // segmentSyllables() with offsets, in the same form as segmentWithOffsets()
+    segmentSyllablesWithOffsets(text, unit = 'syllable') {
+        const norm = this.normalizer.normalizeWithOffsets(text);
+        return { normalized: norm.text, tokens: this._attachOffsets(norm, this._syllabify(norm.text, unit)) };
+    }
+
+    _syllabify(text, unit) {
+        if (unit !== 'syllable' && unit !== 'cluster') {
+            throw new Error(`Unknown unit "${unit}" (expected syllable or cluster)`);
+        }
+
+        const clusters = [];
+        const n = text.length;
+        let i = 0;
+        while (i < n) {
+            let len = 1;
+            if (this._isDigit(text[i])) {
+                len = this._getNumberLength(text, i);
+            } else if (this._isKhmerChar(text[i])) {
+                len = this._getKhmerClusterLength(text, i);
+            } else if (!this._isSeparator(text[i])) {
+                while (i + len < n && !this._isKhmerChar(text[i + len]) &&
+                    !this._isDigit(text[i + len]) && !this._isSeparator(text[i + len])) {
+                    len++;
+                }
+            }
+            clusters.push(text.slice(i, i + len));
+            i += len;
+        }
+        if (unit === 'cluster') return clusters;
+
+        // A bare consonant closes the syllable before it if that one has a
+        // written vowel and no final yet, unless a nasal with a subscript
+        // follows: the nasal is then the final of a presyllable starting at
+        // the consonant, and both go with the next syllable (the ក in
+        // ទីកន្លែង; the រ in ការស្រាវ stays a final). With a bantoc, robat
+        // or toandakhiat it is always a final, so it also closes an
+        // inherent-vowel syllable.
+        const syllables = [];
+        let open = null; // 'vowel' | 'inherent' while the last syllable can take a final
+        let presyllable = '';
+        clusters.forEach((cluster, k) => {
+            const final = this._finalConsonantKind(cluster);
+            if (final === 'bare' && open === 'vowel' && this._isNasalWithSubscript(clusters[k + 1])) {
+                presyllable = cluster;
+                open = null;
+                return;
+            }
+            if (open && (final === 'marked' || (final === 'bare' && open === 'vowel'))) {
+                syllables[syllables.length - 1] += cluster;
+                open = null;
+                return;
+            }
+            syllables.push(presyllable + cluster);
+            presyllable = '';
+            open = this._openSyllableKind(cluster);
+        });
+        return syllables;
+    }
+
+    // ង ញ ណ ន or ម with a coeng subscript, as in ន្លែ
+    _isNasalWithSubscript(cluster) {
+        return cluster !== undefined && '\u1784\u1789\u178E\u1793\u1798'.includes(cluster[0]) &&
+            cluster[1] === '\u17D2';
+    }
+
+    // 'bare' for a lone consonant, 'marked' for one with a bantoc (U+17CB),
+    // robat (U+17CC) or toandakhiat (U+17CD), null for any other cluster
+    _finalConsonantKind(cluster) {
+        const code = cluster.charCodeAt(0);
+        if (!(code >= 0x1780 && code <= 0x17A2)) return null;
+        if (cluster.length === 1) return 'bare';
+        const rest = cluster.slice(1);
+        if (rest === '\u17CB' || rest === '\u17CC' || rest === '\u17CD') return 'marked';
+        return null;
+    }
+
+    // Whether a cluster leaves its syllable open for a final consonant:
+    // 'vowel' with a written vowel, 'inherent' for a consonant (with any
+    // subscripts) and no vowel. Nikahit, reahmuk and yuukaleapintu already
+    // close the syllable.
+    _openSyllableKind(cluster) {
+        const code = cluster.charCodeAt(0);
+        const independent = code >= 0x17A3 && code <= 0x17B3;
+        if (!(code >= 0x1780 && code <= 0x17A2) && !independent) return null;
+
+        let vowel = independent;
+        for (let k = 1; k < cluster.length; k++) {
+            const c = cluster.charCodeAt(k);
+            if (c >= 0x17C6 && c <= 0x17C8) return null;
+            if (c >= 0x17B6 && c <= 0x17C5) vowel = true;
+            else if (c !== 0x17D2 && !(c >= 0x1780 && c <= 0x17A2)) return null; // Other signs
+        }
+        return vowel ? 'vowel' : 'inherent';
+    }
+
     // Helper for UI
     isUnknown(word) {
         if (!word) return false;
@@ -0,0 +1,89 @@
+// Node.js entry point
+// Loads the segmenter from the data files on disk instead of through fetch.
+// Prefers the precompiled bundle (tools/build_bundle.js) when it exists and
+// is readable, like worker.js.
+
+import { readFile, access } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { KhmerSegmenter } from './segmenter_browser.js';
+import { UserDictionary } from './user_dictionary.js';
+import { RuleBasedEngine } from './rule_engine.js';
+
+export { KhmerSegmenter };
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PATHS = {
+    dictionary: resolve(ROOT, 'data/khmer_dictionary_words.txt'),
+    frequencies: resolve(ROOT, 'data/khmer_word_frequencies.json'),
+    bundle: resolve(ROOT, 'data/khmer_dictionary.bin'),
+    rules: resolve(ROOT, 'rules.json')
+};
+
+async function exists(path) {
+    try {
+        await access(path);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// options:
+//   dictionary, frequencies, bundle, rules - paths overriding
+//                 DEFAULT_PATHS
+//   bigrams     - path of a bigram table (no default: the repo ships none,
+//                 tools/train_frequencies.js --bigrams writes one)
+//   rulesData   - rules array to use instead of reading the rules file
+//   raw         - ignore the bundle and parse the text/JSON files
+//   userDictionary - path to a user dictionary in the plain text format of
+//                    user_dictionary.js, applied on top
+//   segmenterOptions - passed through to the KhmerSegmenter constructor;
+//                    with languageModel 'bigram' and no bigramData, the
+//                    bigram table is read from the bigrams path
+export async function loadSegmenter(options = {}) {
+    const paths = { ...DEFAULT_PATHS, ...options };
+    const rulesData = options.rulesData || JSON.parse(await readFile(paths.rules, 'utf8'));
+    const ruleErrors = RuleBasedEngine.validateRules(rulesData);
+    if (ruleErrors.length > 0) {
+        throw new Error(`Invalid rules:\n${RuleBasedEngine.formatErrors(ruleErrors)}`);
+    }
+
+    let segmenterOptions = options.segmenterOptions;
+    if (segmenterOptions && segmenterOptions.languageModel === 'bigram' && !segmenterOptions.bigramData) {
+        if (!paths.bigrams) {
+            throw new Error("The bigram model needs a bigram table (tools/train_frequencies.js --bigrams writes one)");
+        }
+        const bigramData = JSON.parse(await readFile(paths.bigrams, 'utf8'));
+        segmenterOptions = { ...segmenterOptions, bigramData };
+    }
+
+    let segmenter;
+    if (!options.raw && await exists(paths.bundle)) {
+        const file = await readFile(paths.bundle);
+        const buffer = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+        try {
+            segmenter = new KhmerSegmenter(buffer, null, rulesData, segmenterOptions);
+        } catch (e) {
+            console.warn(`Dictionary bundle unusable, loading raw files (npm run build-bundle): ${e.message}`);
+        }
+    }
+    if (!segmenter) {
+        const dictText = await readFile(paths.dictionary, 'utf8');
+        const freqData = await exists(paths.frequencies)
+            ? JSON.parse(await readFile(paths.frequencies, 'utf8'))
+            : {};
+        segmenter = new KhmerSegmenter(dictText, freqData, rulesData, segmenterOptions);
+    }
+
+    if (options.userDictionary) {
+        const entries = UserDictionary.parseText(await readFile(options.userDictionary, 'utf8'));
+        for (const entry of entries) {
+            if (entry.blocked) segmenter.removeWord(entry.word);
+            else segmenter.addWord(entry.word, entry.freq);
+        }
+    }
+
+    return segmenter;
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentFiles, buildBatchZip, summarize, topUnknownWords, reportCsv } from '../batch.js';
+import { readZip } from '../zip.js';
+
+const file = (name, content) => ({ name, text: async () => content });
+
+// Stand-in for WorkerPool: words and spaces, words starting with x unknown
+const pool = {
+    async segment(text) {
+        if (text.includes('FAIL')) throw new Error('segmentation failed');
+        return [...text.matchAll(/\s+|\S+/g)].map(m => ({
+            word: m[0], isUnknown: m[0].startsWith('x'), start: m.index, end: m.index + m[0].length
+        }));
+    }
+};
+
+const FILES = [
+    file('a.txt', 'one xa two\n'),
+    file('b.pdf', 'not supported'),
+    file('c.txt', 'FAIL'),
+    file('a.txt', 'xa xb xa\n')
+];
+
+test('summaries count words, not spaces', () => {
+    const tokens = [
+        { word: 'a', isUnknown: false }, { word: ' ', isUnknown: false }, { word: 'x', isUnknown: true }
+    ];
+    assert.deepEqual(summarize('f', tokens), { name: 'f', tokens: 2, unknown: 1, unknownRate: 0.5 });
+    assert.equal(summarize('f', []).unknownRate, 0);
+});
+
+test('failed files are reported in input order', async () => {
+    const progress = [];
+    const results = await segmentFiles(pool, FILES, { concurrency: 2, onProgress: (done, total) => progress.push([done, total]) });
+    assert.deepEqual(results.map(r => r.name), ['a.txt', 'b.pdf', 'c.txt', 'a.txt']);
+    assert.deepEqual(results[0].summary, { name: 'a.txt', tokens: 3, unknown: 1, unknownRate: 1 / 3 });
+    assert.equal(results[1].error, 'Unsupported file type: b.pdf');
+    assert.equal(results[2].error, 'segmentation failed');
+    assert.deepEqual(progress, [[1, 4], [2, 4], [3, 4], [4, 4]]);
+});
+
+test('unknown words over the batch', async () => {
+    const results = await segmentFiles(pool, FILES);
+    assert.deepEqual(topUnknownWords(results), [['xa', 3], ['xb', 1]]);
+    assert.deepEqual(topUnknownWords(results, 1), [['xa', 3]]);
+});
+
+test('report rows carry counts or the error', async () => {
+    const results = await segmentFiles(pool, FILES);
+    assert.equal(reportCsv(results), '\ufeff' + [
+        'file,tokens,unknown,unknown_rate,error',
+        'a.txt,3,1,0.3333,',
+        'b.pdf,,,,Unsupported file type: b.pdf',
+        'c.txt,,,,segmentation failed',
+        'a.txt,3,3,1.0000,',
+        ''
+    ].join('\r\n'));
+});
+
+test('zip holds each segmented file, the report and the unknown words', async () => {
+    const results = await segmentFiles(pool, FILES);
+    const entries = await readZip(await buildBatchZip(results));
+    const decoder = new TextDecoder();
+    const content = Object.fromEntries(entries.map(e => [e.name, decoder.decode(e.data)]));
+
+    // Same-named inputs get distinct names
+    assert.deepEqual(Object.keys(content), [
+        'segmented/a.segmented.txt', 'segmented/a.segmented-2.txt', 'report.csv', 'unknown_words.csv'
+    ]);
+    assert.equal(content['segmented/a.segmented.txt'], 'one xa two\n');
+    assert.equal(content['report.csv'], reportCsv(results).replace(/^\ufeff/, ''));
+    assert.equal(content['unknown_words.csv'], 'word,count\r\nxa,3\r\nxb,1\r\n');
+});
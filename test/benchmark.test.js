@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCorpus, countWords } from '../benchmark.js';
+
+const FREQUENCIES = { a: 1, b: 2, c: 7 };
+
+test('corpus is the same on every run', () => {
+    // Pinned: a different sequence here means benchmark numbers are no
+    // longer comparable with earlier runs
+    assert.equal(buildCorpus(FREQUENCIES, 20, 1), 'c cccccbbc cbacbccccbb។\n');
+    assert.equal(buildCorpus(FREQUENCIES, 20, 2), 'cbcccccccc c bacccaa ca។\n');
+});
+
+test('large seeds stay exact', () => {
+    const corpus = buildCorpus(FREQUENCIES, 2000, 0xFFFFFFFF);
+    assert.equal(corpus, buildCorpus(FREQUENCIES, 2000, 0xFFFFFFFF));
+    for (const word of ['a', 'b', 'c']) assert.ok(corpus.includes(word));
+});
+
+test('countWords skips whitespace', () => {
+    assert.equal(countWords(['a', ' ', 'b', '\n', '។']), 3);
+});
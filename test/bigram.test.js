@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadSegmenter } from '../segmenter_node.js';
+
+const cliPath = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+// After the sentence start, សាលា is likely, and រៀន after it
+const TABLE = { '<s>': { 'សាលា': 1000 }, 'សាលា': { 'រៀន': 1000 } };
+const TEXTS = ['សាលារៀន', 'ខ្ញុំទៅសាលារៀន', 'ខ្ញុំទៅផ្សារថ្ងៃនេះ', 'abc ១២៣ សាលារៀន។'];
+
+const unigram = await loadSegmenter({ raw: true, rulesData: [] });
+const bigram = (bigramData) => loadSegmenter({
+    raw: true, rulesData: [], segmenterOptions: { languageModel: 'bigram', bigramData }
+});
+
+test('without statistics the bigram model segments like the unigram one', async () => {
+    for (const data of [{}, { 'ក': { 'ខ': 5 } }]) {
+        const segmenter = await bigram(data);
+        for (const text of TEXTS) assert.deepEqual(segmenter.segment(text, true), unigram.segment(text, true), text);
+    }
+});
+
+test('word pairs seen in the table are preferred', async () => {
+    const segmenter = await bigram(TABLE);
+    assert.deepEqual(unigram.segment('សាលារៀន', true), ['សាលារៀន']);
+    assert.deepEqual(segmenter.segment('សាលារៀន', true), ['សាលា', 'រៀន']);
+    // Text without table words is unaffected
+    assert.deepEqual(segmenter.segment('ខ្ញុំទៅផ្សារថ្ងៃនេះ', true), unigram.segment('ខ្ញុំទៅផ្សារថ្ងៃនេះ', true));
+});
+
+test('punctuation starts a new sentence context', async () => {
+    const segmenter = await bigram({ '<s>': { 'សាលា': 1000 } });
+    // Only the sentence start makes សាលា likely enough to split off
+    assert.deepEqual(segmenter.segment('សាលារៀន។សាលារៀន', true), ['សាលា', 'រៀន', '។', 'សាលា', 'រៀន']);
+    assert.deepEqual(segmenter.segment('ខ្ញុំសាលារៀន', true), unigram.segment('ខ្ញុំសាលារៀន', true));
+});
+
+test('zero-width characters in the table are ignored', async () => {
+    const segmenter = await bigram({ '<s>': { 'សា\u200bលា': 1000 }, 'សាលា': { 'រៀ\u200bន': 1000 } });
+    assert.deepEqual(segmenter.segment('សាលារៀន', true), ['សាលា', 'រៀន']);
+});
+
+test('the table is read from the bigrams path', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'bigrams-'));
+    const path = join(dir, 'bigrams.json');
+    writeFileSync(path, JSON.stringify(TABLE));
+
+    const segmenter = await loadSegmenter({ raw: true, rulesData: [], bigrams: path, segmenterOptions: { languageModel: 'bigram' } });
+    assert.deepEqual(segmenter.segment('សាលារៀន', true), ['សាលា', 'រៀន']);
+    await assert.rejects(
+        loadSegmenter({ raw: true, rulesData: [], segmenterOptions: { languageModel: 'bigram' } }),
+        /bigram model needs a bigram table/
+    );
+
+    const out = execFileSync(process.execPath, [cliPath, '--raw', '--model', 'bigram', '--bigrams', path, '--no-post-processing'],
+        { input: 'សាលារៀន\n', encoding: 'utf8' });
+    assert.equal(out, 'សាលា រៀន\n');
+});
+
+test('the CLI requires --bigrams for the bigram model', () => {
+    assert.throws(
+        () => execFileSync(process.execPath, [cliPath, '--model', 'bigram'], { input: '', encoding: 'utf8', stdio: 'pipe' }),
+        err => err.status === 2 && /--model bigram needs --bigrams <file>/.test(err.stderr)
+    );
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const cliPath = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+test('segments stdin', () => {
+    const out = execFileSync(process.execPath, [cliPath], { input: 'ខ្ញុំទៅផ្សារ\n', encoding: 'utf8' });
+    assert.equal(out, 'ខ្ញុំ ទៅ ផ្សារ\n');
+});
+
+test('exits quietly when stdout is closed early', async () => {
+    const child = spawn(process.execPath, [cliPath]);
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.stdout.once('data', () => child.stdout.destroy());
+    child.stdin.on('error', () => {}); // The child may stop reading first
+    child.stdin.end('ខ្ញុំទៅផ្សារ\n'.repeat(20000));
+
+    const status = await new Promise(resolve => child.on('close', resolve));
+    assert.equal(stderr, '');
+    assert.equal(status, 0);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSegmenter } from '../segmenter_node.js';
+import { atGranularity } from '../export_formats.js';
+
+const segmenter = await loadSegmenter({ rulesData: [] });
+
+test('compounds split into their words', () => {
+    assert.deepEqual(segmenter.decompose('សាលារៀន'), ['សាលា', 'រៀន']);
+    assert.deepEqual(segmenter.decompose('មន្ទីរពេទ្យ'), ['មន្ទីរ', 'ពេទ្យ']);
+    assert.deepEqual(segmenter.decompose('ភាសាខ្មែរ'), ['ភាសា', 'ខ្មែរ']);
+    // Tokens that are not words themselves (e.g. merged by a rule) too
+    assert.deepEqual(segmenter.decompose('ក្រសួងអប់រំ'), ['ក្រសួង', 'អប់រំ']);
+});
+
+test('single letters are never parts', () => {
+    // ផ្សា + រ, ធ + នាគា + រ
+    assert.equal(segmenter.decompose('ផ្សារ'), null);
+    assert.equal(segmenter.decompose('ធនាគារ'), null);
+    assert.equal(segmenter.decompose('ក'), null);
+});
+
+test('words are kept whole when a part is much rarer than the word', () => {
+    // កម្ពុ + ជា, រដ្ឋា + ភិបាល, ភា + សា
+    for (const word of ['កម្ពុជា', 'រដ្ឋាភិបាល', 'ភាសា']) {
+        assert.equal(segmenter.decompose(word), null, word);
+    }
+    // A wider margin lets them through
+    const margin = segmenter.costs.compoundMargin;
+    try {
+        segmenter.costs.compoundMargin = 10;
+        assert.deepEqual(segmenter.decompose('កម្ពុជា'), ['កម្ពុ', 'ជា']);
+    } finally {
+        segmenter.costs.compoundMargin = margin;
+    }
+});
+
+test('fine granularity shows only real compounds split', () => {
+    const text = 'ខ្ញុំទៅសាលារៀននៅកម្ពុជា';
+    const { tokens } = segmenter.segmentWithOffsets(text, false, { decompose: true });
+    const words = tokens.map(t => ({
+        word: t.text, start: t.start, end: t.end, isUnknown: false,
+        ...(t.parts && { parts: t.parts.map(p => ({ word: p.text, start: p.start, end: p.end })) })
+    }));
+    const fine = atGranularity(words, 'fine');
+    assert.deepEqual(fine.map(t => t.word), ['ខ្ញុំ', 'ទៅ', 'សាលា', 'រៀន', 'នៅ', 'កម្ពុជា']);
+    for (const t of fine) assert.equal(text.slice(t.start, t.end), t.word);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSegmenter, KhmerSegmenter } from '../segmenter_node.js';
+import { encodeBundle, decodeBundle } from '../dictionary_bundle.js';
+
+const raw = await loadSegmenter({ raw: true, rulesData: [] });
+const bundle = encodeBundle(raw);
+
+const fromBundle = (costs) => new KhmerSegmenter(bundle.slice(0), null, [], { costs });
+
+function assertSameModel(a, b) {
+    assert.equal(a.words.size, b.words.size);
+    assert.equal(a.totalTokens, b.totalTokens);
+    assert.equal(a.defaultCost, b.defaultCost);
+    assert.equal(a.unknownCost, b.unknownCost);
+    assert.equal(a.maxWordLength, b.maxWordLength);
+    assert.deepEqual(a.wordCosts, b.wordCosts);
+}
+
+test('a bundle loads the same model as the raw files', () => {
+    assertSameModel(fromBundle(), raw);
+});
+
+test('minFreqFloor applies to a bundle', async () => {
+    const costs = { minFreqFloor: 50 };
+    const rawFloor = await loadSegmenter({ raw: true, rulesData: [], segmenterOptions: { costs } });
+    const bundleFloor = fromBundle(costs);
+    assertSameModel(bundleFloor, rawFloor);
+    assert.notEqual(bundleFloor.defaultCost, raw.defaultCost);
+});
+
+test('foreign and outdated bundles are rejected', () => {
+    assert.throws(() => decodeBundle(new ArrayBuffer(64)), /Not a dictionary bundle/);
+    const outdated = bundle.slice(0);
+    new DataView(outdated).setUint32(4, 1, true);
+    assert.throws(() => decodeBundle(outdated), /Unsupported dictionary bundle version 1/);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSegmenter, KhmerSegmenter } from '../segmenter_node.js';
+import { encodeBundle } from '../dictionary_bundle.js';
+
+// Both spellings are entries of the dictionary file
+const TA = 'កក់ក្តៅ';
+const DA = 'កក់ក្ដៅ';
+// Only the first spelling is an entry; the second is generated from it
+const ENTRY = 'កណ្តុល';
+const GENERATED = 'កណ្ដុល';
+
+const raw = await loadSegmenter({ raw: true, rulesData: [] });
+const bundle = encodeBundle(raw);
+
+const LOADERS = {
+    raw: () => loadSegmenter({ raw: true, rulesData: [] }),
+    bundle: async () => new KhmerSegmenter(bundle.slice(0), null, [])
+};
+
+for (const [mode, load] of Object.entries(LOADERS)) {
+    test(`${mode}: removing a word keeps variants that are entries of their own`, async () => {
+        const segmenter = await load();
+        assert.ok(segmenter.words.has(TA) && segmenter.words.has(DA));
+        const cost = segmenter.getWordCost(DA);
+        assert.equal(segmenter.removeWord(TA), true);
+        assert.equal(segmenter.words.has(TA), false);
+        assert.equal(segmenter.words.has(DA), true);
+        assert.equal(segmenter.getWordCost(DA), cost);
+        assert.deepEqual(segmenter.segment(DA), [DA]);
+    });
+
+    test(`${mode}: removing a dictionary word removes its generated variants`, async () => {
+        const segmenter = await load();
+        assert.ok(segmenter.words.has(GENERATED));
+        segmenter.removeWord(ENTRY);
+        assert.equal(segmenter.words.has(ENTRY), false);
+        assert.equal(segmenter.words.has(GENERATED), false);
+    });
+
+    test(`${mode}: removing an added word removes the variants it added`, async () => {
+        const segmenter = await load();
+        const word = 'ក្តាខ្តា';
+        const variant = 'ក្ដាខ្ដា';
+        assert.equal(segmenter.words.has(variant), false);
+        segmenter.addWord(word, 100);
+        assert.ok(segmenter.words.has(variant));
+        assert.equal(segmenter.getWordCost(variant), segmenter.getWordCost(word));
+
+        segmenter.removeWord(word);
+        assert.equal(segmenter.words.has(word), false);
+        assert.equal(segmenter.words.has(variant), false);
+    });
+
+    test(`${mode}: adding a word leaves the cost of existing variants alone`, async () => {
+        const segmenter = await load();
+        const cost = segmenter.getWordCost(DA);
+        segmenter.removeWord(TA);
+        segmenter.addWord(TA, 1000000);
+        assert.equal(segmenter.getWordCost(DA), cost);
+        segmenter.removeWord(TA);
+        assert.equal(segmenter.words.has(DA), true);
+    });
+
+    test(`${mode}: adding a generated variant makes it an entry`, async () => {
+        const segmenter = await load();
+        segmenter.addWord(GENERATED);
+        segmenter.removeWord(ENTRY);
+        assert.equal(segmenter.words.has(GENERATED), true);
+    });
+}
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { importDocument, exportDocument } from '../document_formats.js';
+
+// importDocument only needs a name and text(), like a File
+const file = (name, content) => ({ name, text: async () => content });
+
+async function roundTrip(name, content) {
+    const doc = await importDocument(file(name, content));
+    return (await exportDocument(doc, [])).text();
+}
+
+const SRT = '1\n00:00:01,000 --> 00:00:02,000\nសួស្តី\n\n2\n00:00:03,000 --> 00:00:04,000\nខ្ញុំទៅផ្សារ\nថ្ងៃនេះ\n';
+
+test('srt cue texts exclude the final newline', async () => {
+    const doc = await importDocument(file('a.srt', SRT));
+    assert.equal(doc.text, 'សួស្តី\n\nខ្ញុំទៅផ្សារ\nថ្ងៃនេះ');
+});
+
+test('srt round trips byte for byte', async () => {
+    const once = await roundTrip('a.srt', SRT);
+    assert.equal(once, SRT);
+    assert.equal(await roundTrip('a.srt', once), SRT);
+
+    const crlf = SRT.replace(/\n/g, '\r\n');
+    assert.equal(await roundTrip('a.srt', crlf), crlf);
+});
+
+test('txt round trips byte for byte', async () => {
+    const text = 'ខ្ញុំទៅផ្សារ\r\nថ្ងៃនេះ\r\n';
+    assert.equal(await roundTrip('a.txt', text), text);
+});
+
+test('export inserts separators at word boundaries', async () => {
+    const doc = await importDocument(file('a.srt', SRT));
+    const start = doc.text.indexOf('ខ្ញុំ');
+    const tokens = [
+        { word: 'ខ្ញុំ', start, end: start + 5 },
+        { word: 'ទៅ', start: start + 5, end: start + 7 }
+    ];
+    const out = await (await exportDocument(doc, tokens, '|')).text();
+    assert.ok(out.includes('\nខ្ញុំ|ទៅផ្សារ\n'));
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { loadSegmenter } from '../segmenter_node.js';
+import { parseGold, evaluate } from '../evaluation.js';
+
+const goldPath = fileURLToPath(new URL('fixtures/gold.txt', import.meta.url));
+const toolPath = fileURLToPath(new URL('../tools/evaluate.js', import.meta.url));
+
+test('parseGold splits on spaces and ZWSP and skips blank lines', () => {
+    assert.deepEqual(parseGold('ក ខ\u200bគ\n\n  ឃ \n'), [['ក', 'ខ', 'គ'], ['ឃ']]);
+});
+
+test('evaluate scores boundaries and confusions', async () => {
+    const segmenter = await loadSegmenter();
+    const perfect = evaluate(segmenter, readFileSync(goldPath, 'utf8'));
+    assert.equal(perfect.sentences, 2);
+    assert.equal(perfect.goldWords, 5);
+    assert.equal(perfect.boundaries.f1, 1);
+
+    // The segmenter splits what this gold treats as one word
+    const report = evaluate(segmenter, 'ខ្ញុំទៅ ផ្សារ\n');
+    assert.deepEqual(report.boundaries, { tp: 1, fp: 1, fn: 0, precision: 0.5, recall: 1, f1: 2 / 3 });
+    assert.deepEqual(report.overSegmentations, [{ gold: 'ខ្ញុំទៅ', predicted: 'ខ្ញុំ ទៅ', count: 1 }]);
+    assert.deepEqual(report.underSegmentations, []);
+});
+
+test('tools/evaluate.js reads the gold file with and without options', () => {
+    for (const args of [[], ['--compare'], ['--raw', '--top', '3']]) {
+        const report = JSON.parse(execFileSync(process.execPath, [toolPath, goldPath, '--json', ...args], { encoding: 'utf8' }));
+        const scores = args.includes('--compare') ? report.postProcessed : report;
+        assert.equal(scores.boundaries.f1, 1);
+    }
+});
+
+test('tools/evaluate.js rejects a missing or bad --top value', () => {
+    for (const args of [['--top'], ['--top', 'x']]) {
+        const result = spawnSync(process.execPath, [toolPath, goldPath, ...args], { encoding: 'utf8' });
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /Usage/);
+    }
+});
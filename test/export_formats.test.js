@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    atGranularity, splitParagraphs, toZwspText, toSpaceSeparated, toJson, toConllu, csvField, toUnknownCsv
+} from '../export_formats.js';
+
+// Tokens from [word, isUnknown] pairs, with offsets in the joined text
+function build(pairs) {
+    let pos = 0;
+    const tokens = pairs.map(([word, isUnknown = false]) => {
+        const token = { word, isUnknown, start: pos, end: pos + word.length };
+        pos += word.length;
+        return token;
+    });
+    return { text: tokens.map(t => t.word).join(''), tokens };
+}
+
+const { text, tokens } = build([
+    ['សួស្តី'], [' '], ['ពិភព'], ['លោក'], ['។'], ['xyz', true], ['\r\n'],
+    ['ខ្ញុំ'], ['ទៅ'], ['xyz', true], ['។'], ['\n'],
+    ['a,"b"', true]
+]);
+
+test('paragraphs split at line breaks', () => {
+    const paragraphs = splitParagraphs(tokens);
+    assert.equal(paragraphs.length, 3);
+    assert.deepEqual(paragraphs[1].map(t => t.word), ['ខ្ញុំ', 'ទៅ', 'xyz', '។']);
+});
+
+test('ZWSP text separates words but keeps spaces', () => {
+    assert.equal(toZwspText(text, tokens),
+        'សួស្តី ពិភព\u200bលោក\u200b។\u200bxyz\nខ្ញុំ\u200bទៅ\u200bxyz\u200b។\na,"b"');
+    // Removing the separators gives back the text, with \n line breaks
+    assert.equal(toZwspText(text, tokens).replace(/\u200b/g, ''), text.replace(/\r\n/g, '\n'));
+});
+
+test('space separated text', () => {
+    assert.equal(toSpaceSeparated(text, tokens), 'សួស្តី ពិភព លោក ។ xyz\nខ្ញុំ ទៅ xyz ។\na,"b"');
+});
+
+test('JSON keeps every token with its offsets', () => {
+    const data = JSON.parse(toJson(text, tokens));
+    assert.equal(data.text, text);
+    assert.equal(data.tokens.length, tokens.length);
+    assert.deepEqual(data.tokens[2], { text: 'ពិភព', start: 7, end: 11, isUnknown: false });
+    for (const t of data.tokens) assert.equal(text.slice(t.start, t.end), t.text);
+});
+
+test('CoNLL-U sentences, paragraphs and MISC', () => {
+    const blocks = toConllu(text, tokens).split('\n\n');
+    assert.deepEqual(blocks[0].split('\n'), [
+        '# newpar',
+        '# sent_id = 1',
+        '# text = សួស្តី ពិភពលោក។',
+        '1\tសួស្តី\t_\t_\t_\t_\t_\t_\t_\t_',
+        '2\tពិភព\t_\t_\t_\t_\t_\t_\t_\tSpaceAfter=No',
+        '3\tលោក\t_\t_\t_\t_\t_\t_\t_\tSpaceAfter=No',
+        '4\t។\t_\t_\t_\t_\t_\t_\t_\t_'
+    ]);
+    // Text after the last ។ of a line is a sentence of its own
+    assert.deepEqual(blocks[1].split('\n'), [
+        '# sent_id = 2',
+        '# text = xyz',
+        '1\txyz\t_\t_\t_\t_\t_\t_\t_\tUnknown=Yes'
+    ]);
+    assert.ok(blocks[2].startsWith('# newpar\n# sent_id = 3\n'));
+    assert.ok(blocks[3].startsWith('# newpar\n# sent_id = 4\n# text = a,"b"'));
+});
+
+test('CoNLL-U skips sentences without words', () => {
+    const { text, tokens } = build([['។'], [' '], ['\n'], ['ទៅ']]);
+    const lines = toConllu(text, tokens).split('\n');
+    assert.deepEqual(lines.filter(l => l.startsWith('# sent_id')), ['# sent_id = 1', '# sent_id = 2']);
+    assert.equal(lines.filter(l => l === '# newpar').length, 2);
+});
+
+test('unknown words CSV counts and quotes', () => {
+    assert.equal(csvField('plain'), 'plain');
+    assert.equal(csvField('a,"b"'), '"a,""b"""');
+    assert.equal(toUnknownCsv(text, tokens), '\ufeffword,count\r\nxyz,2\r\n"a,""b""",1\r\n');
+});
+
+test('fine granularity replaces compounds by their parts', () => {
+    const compound = {
+        word: 'សាលារៀន', isUnknown: false, start: 0, end: 7,
+        parts: [{ word: 'សាលា', start: 0, end: 4 }, { word: 'រៀន', start: 4, end: 7 }]
+    };
+    const space = { word: ' ', isUnknown: false, start: 7, end: 8 };
+    assert.equal(atGranularity([compound, space], 'coarse')[0], compound);
+    assert.deepEqual(atGranularity([compound, space], 'fine'), [
+        { word: 'សាលា', start: 0, end: 4, isUnknown: false },
+        { word: 'រៀន', start: 4, end: 7, isUnknown: false },
+        space
+    ]);
+});
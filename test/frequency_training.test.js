@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    BOUNDARY, countCorpus, mergeCounts, smoothCounts, smoothBigrams, pruneCounts, pruneBigrams,
+    countsToJson, countsFromJson, bigramsToJson, bigramsFromJson
+} from '../frequency_training.js';
+
+const corpus = readFileSync(new URL('fixtures/corpus.txt', import.meta.url), 'utf8');
+
+test('countCorpus counts words and bigrams, skipping punctuation', () => {
+    const { unigrams, bigrams, sentences, tokens } = countCorpus(corpus, { bigrams: true });
+    assert.equal(sentences, 3);
+    assert.equal(tokens, 9);
+    assert.equal(unigrams.get('ទៅ'), 3);
+    assert.equal(unigrams.get('ខ្ញុំ'), 2);
+    assert.equal(unigrams.has('។'), false);
+    assert.equal(bigrams.get(BOUNDARY).get('ខ្ញុំ'), 2);
+    assert.equal(bigrams.get('ទៅ').get('ផ្សារ'), 2);
+});
+
+test('mergeCounts scales the added counts', () => {
+    const merged = mergeCounts(new Map([['ក', 1]]), new Map([['ក', 2], ['ខ', 1]]), 0.5);
+    assert.deepEqual([...merged], [['ក', 2], ['ខ', 0.5]]);
+});
+
+test('add-k adds k to every observed count', () => {
+    const smoothed = smoothCounts(new Map([['ក', 1], ['ខ', 3]]), 'add-k', { k: 0.5 });
+    assert.deepEqual([...smoothed], [['ក', 1.5], ['ខ', 3.5]]);
+});
+
+test('good-turing keeps counts at or above the threshold', () => {
+    const counts = new Map([['ក', 1], ['ខ', 1], ['គ', 2], ['ឃ', 7]]);
+    assert.equal(smoothCounts(counts, 'good-turing').get('ឃ'), 7);
+    assert.throws(() => smoothCounts(counts, 'kneser-ney'), /Unknown smoothing method/);
+});
+
+test('good-turing never ranks a rarer word above a more frequent one', () => {
+    // N(1) = 3, N(2) = 4: the raw estimate for r = 1 would be 2.67
+    const counts = new Map([['ក', 1], ['ខ', 1], ['គ', 1], ['ឃ', 2], ['ង', 2], ['ច', 2], ['ឆ', 2], ['ជ', 3]]);
+    const smoothed = smoothCounts(counts, 'good-turing');
+    assert.equal(smoothed.get('ក'), 1);
+    assert.ok(smoothed.get('ក') <= smoothed.get('ឃ'));
+    assert.ok(smoothed.get('ឃ') <= smoothed.get('ជ'));
+    for (const [word, count] of counts) assert.ok(smoothed.get(word) < count + 1);
+});
+
+test('smoothBigrams applies the method to every pair', () => {
+    const bigrams = new Map([[BOUNDARY, new Map([['ក', 2]])]]);
+    assert.equal(smoothBigrams(bigrams, 'add-k').get(BOUNDARY).get('ក'), 3);
+});
+
+test('pruning drops rare words and pairs outside the vocabulary', () => {
+    const counts = new Map([['ក', 5], ['ខ', 1], ['គ', 3]]);
+    assert.deepEqual([...pruneCounts(counts, { minCount: 2 })], [['ក', 5], ['គ', 3]]);
+    assert.deepEqual([...pruneCounts(counts, { maxWords: 1 })], [['ក', 5]]);
+
+    const bigrams = new Map([[BOUNDARY, new Map([['ក', 1], ['ខ', 1]])], ['ខ', new Map([['ក', 1]])]]);
+    const pruned = pruneBigrams(bigrams, { vocabulary: new Set(['ក']) });
+    assert.deepEqual([...pruned.keys()], [BOUNDARY]);
+    assert.deepEqual([...pruned.get(BOUNDARY)], [['ក', 1]]);
+});
+
+test('JSON round trip', () => {
+    const counts = new Map([['ខ', 1], ['ក', 2.345]]);
+    assert.deepEqual(countsToJson(counts), { 'ក': 2.35, 'ខ': 1 });
+    assert.deepEqual([...countsFromJson({ 'ក\u200b': 2 })], [['ក', 2]]);
+    assert.deepEqual([...countsFromJson({ 'កេា': 1, 'កោ': 2 }, { normalize: true })], [['កោ', 3]]);
+    assert.deepEqual(bigramsFromJson({ '<s>': { 'កេា': 1 }, 'កេា': { 'ក': 1 }, 'កោ': { 'ក': 1 } }, { normalize: true }),
+        new Map([[BOUNDARY, new Map([['កោ', 1]])], ['កោ', new Map([['ក', 2]])]]));
+    const bigrams = new Map([[BOUNDARY, new Map([['ក', 1]])]]);
+    assert.deepEqual(bigramsFromJson(bigramsToJson(bigrams)), bigrams);
+});
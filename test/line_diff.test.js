@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, spliceTokens, tokenIndexAt } from '../line_diff.js';
+
+// Stand-in for WorkerPool.segment: words, spaces and line breaks
+const segment = (text) => [...text.matchAll(/\r\n|\r|\n|[^\S\r\n]+|\S+/g)]
+    .map(m => ({ word: m[0], start: m.index, end: m.index + m[0].length }));
+
+function incremental(oldText, newText) {
+    const diff = diffLines(oldText, newText);
+    const fresh = segment(newText.slice(diff.newStart, diff.newEnd));
+    return spliceTokens(segment(oldText), diff, fresh);
+}
+
+test('equal texts have no diff', () => {
+    assert.equal(diffLines('a\nb', 'a\nb'), null);
+});
+
+test('diff covers whole changed lines', () => {
+    assert.deepEqual(diffLines('aa\nbb\ncc', 'aa\nbXb\ncc'), { oldStart: 3, oldEnd: 6, newStart: 3, newEnd: 7 });
+    // Inserted line
+    assert.deepEqual(diffLines('aa\ncc', 'aa\nbb\ncc'), { oldStart: 3, oldEnd: 3, newStart: 3, newEnd: 6 });
+    // Deleted last line, including the line break before it
+    assert.deepEqual(diffLines('aa\nbb', 'aa\n'), { oldStart: 3, oldEnd: 5, newStart: 3, newEnd: 3 });
+    // \r\n stays one line break
+    assert.deepEqual(diffLines('aa\r\nbb', 'aa\r\nbc'), { oldStart: 4, oldEnd: 6, newStart: 4, newEnd: 6 });
+});
+
+test('spliced tokens equal a full segmentation', () => {
+    const base = 'one two\nthree four\r\nfive\n\nsix seven';
+    const edits = [
+        'one two\nthree FOUR\r\nfive\n\nsix seven',
+        'one two\nthree four\r\nfive\nnew line\n\nsix seven',
+        'one two\nfive\n\nsix seven',
+        'zero\none two\nthree four\r\nfive\n\nsix seven',
+        'one two\nthree four\r\nfive\n\nsix seven eight\n',
+        '',
+        'x'
+    ];
+    for (const edited of edits) {
+        assert.deepEqual(incremental(base, edited), segment(edited), JSON.stringify(edited));
+        assert.deepEqual(incremental(edited, base), segment(base), JSON.stringify(edited));
+    }
+});
+
+test('compound parts move with their token', () => {
+    const prev = [
+        { word: 'a', start: 0, end: 1 },
+        { word: '\n', start: 1, end: 2 },
+        { word: 'bc', start: 2, end: 4, parts: [{ text: 'b', start: 2, end: 3 }, { text: 'c', start: 3, end: 4 }] }
+    ];
+    const diff = diffLines('a\nbc', 'aa\nbc');
+    const result = spliceTokens(prev, diff, [{ word: 'aa', start: 0, end: 2 }, { word: '\n', start: 2, end: 3 }]);
+    assert.deepEqual(result[2].parts.map(p => [p.start, p.end]), [[3, 4], [4, 5]]);
+});
+
+test('tokenIndexAt', () => {
+    const tokens = segment('ab cd ef');
+    assert.equal(tokenIndexAt(tokens, 0), 0);
+    assert.equal(tokenIndexAt(tokens, 1), 1);
+    assert.equal(tokenIndexAt(tokens, 3), 2);
+    assert.equal(tokenIndexAt(tokens, 8), tokens.length);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSegmenter } from '../segmenter_node.js';
+
+const segmenter = await loadSegmenter();
+
+test('n-best starts with the best segmentation', () => {
+    const results = segmenter.segmentNBest('ខ្ញុំទៅផ្សារ', 3);
+    assert.deepEqual(results[0].segments, segmenter.segment('ខ្ញុំទៅផ្សារ'));
+});
+
+test('n-best results are distinct and ordered by cost', () => {
+    for (const text of ['ខ្ញុំទៅផ្សារ', 'សាលារៀន', 'ប្រទេសកម្ពុជា']) {
+        for (const disablePostProcessing of [false, true]) {
+            const results = segmenter.segmentNBest(text, 5, disablePostProcessing);
+            // Rules can merge several raw paths into one result
+            if (disablePostProcessing) assert.equal(results.length, 5, text);
+            else assert.ok(results.length >= 2 && results.length <= 5, text);
+            const keys = new Set(results.map(r => r.segments.join('|')));
+            assert.equal(keys.size, results.length, text);
+            for (let i = 1; i < results.length; i++) {
+                assert.ok(results[i].cost >= results[i - 1].cost, text);
+            }
+            for (const { segments } of results) assert.equal(segments.join(''), text);
+        }
+    }
+});
+
+test('n-best returns no more results than there are segmentations', () => {
+    // 'ក' has one dictionary reading; raw paths also split nothing further
+    const results = segmenter.segmentNBest('ក', 5, true);
+    assert.deepEqual(results.map(r => r.segments), [['ក']]);
+});
+
+test('n-best of empty text or k = 0', () => {
+    assert.deepEqual(segmenter.segmentNBest('', 3), []);
+    assert.deepEqual(segmenter.segmentNBest('ខ្ញុំ', 0), []);
+});
+
+test('lattice edges', () => {
+    const { normalized, edges } = segmenter.getLattice('ខ្ញុំទៅ');
+    assert.equal(normalized, 'ខ្ញុំទៅ');
+    for (const edge of edges) {
+        assert.equal(edge.text, normalized.slice(edge.start, edge.end));
+        assert.ok(Number.isFinite(edge.cost));
+    }
+    const words = edges.filter(e => e.type === 'dictionary').map(e => [e.text, e.start, e.end]);
+    assert.deepEqual(words.filter(([text]) => text.length > 1), [['ខ្ញុំ', 0, 5], ['ទៅ', 5, 7]]);
+    // The best path is made of lattice edges
+    const best = segmenter.segmentNBest('ខ្ញុំទៅ', 1, true)[0].segments;
+    let pos = 0;
+    for (const seg of best) {
+        assert.ok(edges.some(e => e.start === pos && e.end === pos + seg.length));
+        pos += seg.length;
+    }
+});
+
+test('lattice of empty text', () => {
+    assert.deepEqual(segmenter.getLattice(''), { normalized: '', edges: [] });
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KhmerNormalizer } from '../normalization.js';
+import { CONFORMANCE_CASES } from '../normalization_conformance.js';
+import { loadSegmenter } from '../segmenter_node.js';
+
+for (const { name, input, output, options } of CONFORMANCE_CASES) {
+    test(`conformance: ${name}`, () => {
+        assert.equal(new KhmerNormalizer(options).normalize(input), output);
+    });
+}
+
+test('offsets cover every normalized char', () => {
+    const normalizer = new KhmerNormalizer();
+    for (const { input, options } of CONFORMANCE_CASES) {
+        const { text, starts, ends } = new KhmerNormalizer(options).normalizeWithOffsets(input);
+        assert.equal(starts.length, text.length);
+        assert.equal(ends.length, text.length);
+    }
+    assert.deepEqual(normalizer.normalizeWithOffsets('កេ្រា'), {
+        text: 'ក្រោ',
+        starts: [0, 2, 3, 1],
+        ends: [1, 3, 4, 5]
+    });
+});
+
+test('unknown deprecated mode throws', () => {
+    assert.throws(() => new KhmerNormalizer({ deprecated: 'drop' }), /Unknown deprecated mode/);
+});
+
+test('a deprecated char written as several stays one token', async () => {
+    const segmenter = await loadSegmenter();
+    const text = 'ខ្ញុំ៘ទៅ';
+    const expected = [['ខ្ញុំ', 0, 5], ['។ល។', 5, 6], ['ទៅ', 6, 8]];
+    const spans = ({ tokens }) => tokens.map(t => [t.text, t.start, t.end]);
+    assert.deepEqual(spans(segmenter.segmentWithOffsets(text)), expected);
+    assert.deepEqual(spans(segmenter.segmentWithOffsets(text, true)), expected);
+    assert.deepEqual(spans(segmenter.segmentWithTrace(text)), expected);
+    assert.deepEqual(spans(segmenter.segmentSyllablesWithOffsets(text)), expected);
+    assert.deepEqual(spans(segmenter.segmentWithOffsets('៘')), [['។ល។', 0, 1]]);
+});
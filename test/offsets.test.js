@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSegmenter } from '../segmenter_node.js';
+
+const segmenter = await loadSegmenter();
+
+const spans = (text) => segmenter.segmentWithOffsets(text).tokens.map(t => [t.text, t.start, t.end]);
+
+test('offsets of plain text', () => {
+    assert.deepEqual(spans('ខ្ញុំទៅផ្សារ'), [['ខ្ញុំ', 0, 5], ['ទៅ', 5, 7], ['ផ្សារ', 7, 12]]);
+});
+
+test('offsets skip removed zero-width characters', () => {
+    const text = 'ខ្ញុំ\u200Bទៅ ផ្សារ';
+    assert.deepEqual(spans(text), [['ខ្ញុំ', 0, 5], ['ទៅ', 6, 8], [' ', 8, 9], ['ផ្សារ', 9, 14]]);
+});
+
+test('offsets of reordered and composed marks cover the original cluster', () => {
+    // E + subscript Ro + AA is normalized to subscript Ro + OO
+    const { normalized, tokens } = segmenter.segmentWithOffsets('កេ្រាខ្ញុំ');
+    assert.equal(normalized, 'ក្រោខ្ញុំ');
+    assert.deepEqual(tokens.map(t => [t.start, t.end]), [[0, 5], [5, 10]]);
+});
+
+test('tokens cover the input in order without overlapping', () => {
+    const text = 'abc ១២៣ ខ្ញុំ\u200Bទៅសាលារៀន។';
+    const { tokens } = segmenter.segmentWithOffsets(text);
+    let prevEnd = 0;
+    for (const { start, end } of tokens) {
+        assert.ok(start >= prevEnd && end > start, `${start}-${end} after ${prevEnd}`);
+        prevEnd = end;
+    }
+    assert.equal(prevEnd, text.length);
+});
+
+test('offsets of non-Khmer text', () => {
+    assert.deepEqual(spans('abc ១២៣'), [['abc', 0, 3], [' ', 3, 4], ['១២៣', 4, 7]]);
+});
+
+test('empty text', () => {
+    assert.deepEqual(segmenter.segmentWithOffsets(''), { normalized: '', tokens: [] });
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadSegmenter } from '../segmenter_node.js';
+import { RuleBasedEngine } from '../rule_engine.js';
+import { PROFILES, profileRules, profileSettings } from '../profiles.js';
+
+const baseRules = JSON.parse(readFileSync(new URL('../rules.json', import.meta.url), 'utf8'));
+
+// Segmenter built the way the worker builds one for a profile
+const forProfile = (name) => {
+    const { costs, rules } = profileSettings(name);
+    return loadSegmenter({ rulesData: profileRules({ rules }, baseRules), segmenterOptions: { costs } });
+};
+
+test('profile rule sets are valid', () => {
+    for (const [name, profile] of Object.entries(PROFILES)) {
+        const rules = profileRules(profile, baseRules);
+        assert.deepEqual(RuleBasedEngine.validateRules(rules), [], name);
+        for (const disabled of (profile.rules && profile.rules.disable) || []) {
+            assert.ok(baseRules.some(rule => rule.name === disabled), `${name} disables unknown rule ${disabled}`);
+        }
+    }
+});
+
+test('profileRules returns a copy', () => {
+    const rules = profileRules(PROFILES['compound-preserving'], baseRules);
+    assert.equal(rules.length, baseRules.length - 1);
+    rules[0].priority = -1;
+    assert.notEqual(baseRules[0].priority, -1);
+});
+
+test('fine-grained splits compounds', async () => {
+    const segmenter = await forProfile('fine-grained');
+    assert.deepEqual(segmenter.segment('សាលារៀន'), ['សាលា', 'រៀន']);
+    assert.deepEqual(segmenter.segment('មន្ទីរពេទ្យ'), ['មន្ទីរ', 'ពេទ្យ']);
+    // A split that strands a single letter is not a compound
+    assert.deepEqual(segmenter.segment('ផ្សារ'), ['ផ្សារ']);
+});
+
+test('compound-preserving keeps compounds whole', async () => {
+    const segmenter = await forProfile('compound-preserving');
+    assert.deepEqual(segmenter.segment('សាលារៀន'), ['សាលារៀន']);
+    assert.deepEqual(segmenter.segment('សាលារៀនឃ'), ['សាលារៀន', 'ឃ']);
+});
+
+test('profile costs apply from construction', async () => {
+    const segmenter = await loadSegmenter({ segmenterOptions: { costs: { wordPenalty: 2.0, unknownPenalty: 1.0 } } });
+    assert.equal(segmenter.costs.wordPenalty, 2.0);
+    assert.equal(segmenter.unknownCost, segmenter.defaultCost + 1.0);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RuleBasedEngine } from '../rule_engine.js';
+
+// Small Latin stand-ins for the segmenter helpers
+const DICTIONARY = new Set(['a', 'ab', 'abc', 'cd', 'd', 'ef', 'abcd']);
+const COMPOUNDS = { schoolbus: ['school', 'bus'], xa: ['x', 'a'] };
+
+function engine(rules) {
+    return new RuleBasedEngine(seg => seg === '!', seg => seg === ' ', rules, {
+        inDictionary: seg => DICTIONARY.has(seg),
+        decompose: seg => COMPOUNDS[seg] || null
+    });
+}
+
+const rule = (trigger, action, checks = []) => ({ name: 'r', trigger, action, checks });
+const apply = (rules, segments) => engine(rules).applyRules([...segments]);
+
+test('split_at regex cuts before each match, once', () => {
+    const split = rule({ type: 'regex', value: '.*-' }, { type: 'split_at', regex: '-' });
+    assert.deepEqual(apply([split], ['ab-cd-e', 'f']), ['ab', '-cd', '-e', 'f']);
+    // A match at the start does not leave an empty piece
+    assert.deepEqual(apply([split], ['-ab-']), ['-ab', '-']);
+});
+
+test('split_at dictionary takes the fewest words covering the segment', () => {
+    const split = rule({ type: 'regex', value: '.' }, { type: 'split_at', dictionary: true });
+    assert.deepEqual(apply([split], ['abcdef']), ['abcd', 'ef']);
+    // Not fully covered: left alone
+    assert.deepEqual(apply([split], ['abcx']), ['abcx']);
+});
+
+test('split_at compound rejects single-letter parts', () => {
+    const split = rule({ type: 'regex', value: '.' }, { type: 'split_at', compound: true });
+    assert.deepEqual(apply([split], ['schoolbus', 'xa', 'abc']), ['school', 'bus', 'xa', 'abc']);
+});
+
+test('merge_range merges the pattern, or the given offsets', () => {
+    const pattern = { type: 'pattern', value: ['a', { type: 'regex', value: '[0-9]+' }, 'b'] };
+    assert.deepEqual(apply([rule(pattern, { type: 'merge_range' })], ['x', 'a', '12', 'b', 'y']), ['x', 'a12b', 'y']);
+    assert.deepEqual(apply([rule(pattern, { type: 'merge_range', from: 1, to: 2 })], ['a', '12', 'b']), ['a', '12b']);
+    // Offsets may reach before the trigger, and are clipped at the edges
+    const around = rule({ type: 'exact_match', value: '-' }, { type: 'merge_range', from: -1, to: 1 });
+    assert.deepEqual(apply([around], ['x', 'a', '-', 'b', 'y']), ['x', 'a-b', 'y']);
+    assert.deepEqual(apply([around], ['a', '-']), ['a-']);
+});
+
+test('merge_range that covers one segment is rejected', () => {
+    const errors = RuleBasedEngine.validateRule(rule({ type: 'exact_match', value: 'a' }, { type: 'merge_range' }));
+    assert.deepEqual(errors, ['merge_range covers a single segment and never merges anything']);
+});
+
+test('checks at offsets and named targets', () => {
+    const merge = (checks) => rule({ type: 'exact_match', value: 'm' }, 'merge_next', checks);
+    const segments = ['a', 'b', 'm', 'c', 'd'];
+    assert.deepEqual(apply([merge([{ target: -2, check: 'exact_match', value: 'a' }])], segments), ['a', 'b', 'mc', 'd']);
+    assert.deepEqual(apply([merge([{ target: 'prev2', check: 'exact_match', value: 'b' }])], segments), segments);
+    assert.deepEqual(apply([merge([{ target: 'next2', check: 'exact_match', value: 'd' }])], segments), ['a', 'b', 'mc', 'd']);
+    // Out of range: fails only when the check needs the target
+    assert.deepEqual(apply([merge([{ target: 'next3' }])], segments), ['a', 'b', 'mc', 'd']);
+    assert.deepEqual(apply([merge([{ target: 'next3', exists: true }])], segments), segments);
+    assert.deepEqual(apply([merge([{ target: 3, check: 'length', min: 1 }])], segments), segments);
+});
+
+test('not, any and all groups', () => {
+    const merge = (checks) => rule({ type: 'exact_match', value: 'm' }, 'merge_next', checks);
+    const isA = { target: 'next', check: 'exact_match', value: 'a' };
+    const inDict = { target: 'next', check: 'in_dictionary' };
+    const long = { target: 'next', check: 'length', min: 2 };
+
+    assert.deepEqual(apply([merge([{ not: isA }])], ['m', 'a']), ['m', 'a']);
+    assert.deepEqual(apply([merge([{ not: isA }])], ['m', 'b']), ['mb']);
+    assert.deepEqual(apply([merge([{ any: [isA, long] }])], ['m', 'xy']), ['mxy']);
+    assert.deepEqual(apply([merge([{ any: [isA, long] }])], ['m', 'x']), ['m', 'x']);
+    assert.deepEqual(apply([merge([{ all: [inDict, long] }])], ['m', 'ab']), ['mab']);
+    assert.deepEqual(apply([merge([{ all: [inDict, long] }])], ['m', 'a']), ['m', 'a']);
+    // Nested groups
+    assert.deepEqual(apply([merge([{ not: { any: [isA, long] } }])], ['m', 'd']), ['md']);
+});
+
+test('traces stay aligned through merges and splits', () => {
+    const rules = [
+        { ...rule({ type: 'exact_match', value: '-' }, { type: 'merge_range', from: -1, to: 1 }), name: 'join' },
+        { ...rule({ type: 'exact_match', value: 'abcdef' }, { type: 'split_at', dictionary: true }), name: 'split' }
+    ];
+    const segments = ['x', '-', 'y', 'abcdef'];
+    const traces = segments.map(text => ({ parts: [{ text, type: 'dictionary', cost: 3 }], cost: 3, rules: [], unknownMerge: false }));
+    const result = engine(rules).applyRules(segments, traces);
+
+    assert.deepEqual(result, ['x-y', 'abcd', 'ef']);
+    assert.equal(traces.length, result.length);
+    assert.deepEqual(traces[0].rules, ['join']);
+    assert.equal(traces[0].cost, 9);
+    // A split shares the cost out by length
+    assert.deepEqual(traces.slice(1).map(t => [t.parts[0].text, t.cost, t.rules]), [['abcd', 2, ['split']], ['ef', 1, ['split']]]);
+});
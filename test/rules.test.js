@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { loadSegmenter } from '../segmenter_node.js';
+import { RuleBasedEngine } from '../rule_engine.js';
+import { runRuleTests, compareWithSchema } from '../rule_tests.js';
+import { RULE_SCHEMA_SAMPLES } from '../rule_schema_samples.js';
+
+const readJson = (name) => JSON.parse(readFileSync(new URL(`../${name}`, import.meta.url), 'utf8'));
+
+test('rules.json is valid', () => {
+    assert.deepEqual(RuleBasedEngine.validateRules(readJson('rules.json')), []);
+});
+
+test('rule tests in rules.json pass', async () => {
+    const segmenter = await loadSegmenter({ rulesData: [] });
+    const { passed, failed, errors } = runRuleTests(segmenter, readJson('rules.json'));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(failed, []);
+    assert.ok(passed > 0);
+});
+
+test('rules.schema.json agrees with validateRules', () => {
+    const validate = new Ajv2020({ allErrors: true }).compile(readJson('rules.schema.json'));
+    assert.ok(validate(readJson('rules.json')));
+    assert.deepEqual(compareWithSchema(rules => validate(rules), RULE_SCHEMA_SAMPLES), []);
+});
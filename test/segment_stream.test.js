@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentChunks, createSegmentStream, findSafeBoundary, findClusterBoundary, takePieces } from '../segment_stream.js';
+
+// Runs of one letter are words; everything else is a token of its own
+const runs = (piece) => [...piece.matchAll(/(.)\1*/gsu)].map(m => ({ text: m[0], start: m.index, end: m.index + m[0].length }));
+
+async function collect(source, segmentFn, options) {
+    const tokens = [];
+    for await (const batch of segmentChunks(source, segmentFn, options)) tokens.push(...batch);
+    return tokens;
+}
+
+async function collectStream(chunks, segmentFn, options) {
+    const stream = new ReadableStream({
+        start(controller) {
+            for (const chunk of chunks) controller.enqueue(chunk);
+            controller.close();
+        }
+    }).pipeThrough(createSegmentStream(segmentFn, options));
+    const tokens = [];
+    for await (const batch of stream) tokens.push(...batch);
+    return tokens;
+}
+
+function assertCovers(tokens, text) {
+    let pos = 0;
+    for (const t of tokens) {
+        assert.equal(t.start, pos);
+        assert.equal(text.slice(t.start, t.end), t.text);
+        pos = t.end;
+    }
+    assert.equal(pos, text.length);
+}
+
+test('safe boundaries', () => {
+    assert.equal(findSafeBoundary('ab cd', 5), 3);
+    assert.equal(findSafeBoundary('ab។cd'), 3);
+    assert.equal(findSafeBoundary('abcd'), -1);
+    // Not between \r and \n, nor after a \r whose next char is unknown
+    assert.equal(findSafeBoundary('a b\r\nc', 4), 2);
+    assert.equal(findSafeBoundary('a b\r'), 2);
+    assert.equal(findSafeBoundary('a b\r\nc'), 5);
+});
+
+test('cluster boundaries', () => {
+    // Not before a dependent vowel or after a coeng
+    assert.equal(findClusterBoundary('កកា', 2), 1);
+    assert.equal(findClusterBoundary('ក្កក', 2), 1);
+    assert.equal(findClusterBoundary('ab\r\ncd', 3), 2);
+});
+
+test('pieces end at boundaries and add up to the input', () => {
+    const text = 'aaa bbb\r\nccc។ddd eee';
+    const { pieces, rest } = takePieces(text, { targetSize: 4, maxSize: 6 }, true);
+    assert.equal(rest, '');
+    assert.equal(pieces.join(''), text);
+    for (const piece of pieces.slice(0, -1)) assert.ok(/[ \n។]$/.test(piece), JSON.stringify(piece));
+});
+
+for (const concurrency of [1, 3]) {
+    test(`offsets are relative to the whole stream (concurrency ${concurrency})`, async () => {
+        const text = 'aaa bb\r\ncccc dd eeeee f។gg hhh';
+        const chunks = text.match(/.{1,5}/gs);
+        const options = { targetSize: 4, maxSize: 8, concurrency };
+        const tokens = await collect(chunks, runs, options);
+        assertCovers(tokens, text);
+        assert.deepEqual(await collectStream(chunks, runs, options), tokens);
+    });
+
+    test(`forced cuts do not split words (concurrency ${concurrency})`, async () => {
+        const text = 'aaaaabbbbbcccccddddd';
+        const options = { targetSize: 4, maxSize: 7, concurrency };
+        const tokens = await collect([text], runs, options);
+        assert.deepEqual(tokens.map(t => t.text), ['aaaaa', 'bbbbb', 'ccccc', 'ddddd']);
+        assertCovers(tokens, text);
+        assert.deepEqual(await collectStream([text], runs, options), tokens);
+    });
+}
+
+test('a failing piece rejects the caller, not the process', async () => {
+    let unhandled = 0;
+    const onUnhandled = () => unhandled++;
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        const segmentFn = async (piece) => {
+            if (piece.startsWith('b')) throw new Error('piece failed');
+            // The first piece is still pending while the failing one settles
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return runs(piece);
+        };
+        await assert.rejects(
+            collect(['aaa bbb ccc ddd'], segmentFn, { targetSize: 2, maxSize: 4, concurrency: 3 }),
+            /piece failed/
+        );
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(unhandled, 0);
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+    }
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSegmenter } from '../segmenter_node.js';
+
+const segmenter = await loadSegmenter();
+
+const SYLLABLES = [
+    ['ភាសាខ្មែរ', ['ភា', 'សា', 'ខ្មែរ']],
+    ['ចាប់ផ្តើម', ['ចាប់', 'ផ្តើម']],
+    ['ធម៌', ['ធម៌']],
+    ['ការស្រាវជ្រាវ', ['ការ', 'ស្រាវ', 'ជ្រាវ']],
+    // Presyllable before a nasal with a subscript
+    ['ទីកន្លែង', ['ទី', 'កន្លែង']],
+    ['ទៅកញ្ចប់', ['ទៅ', 'កញ្ចប់']]
+];
+
+for (const [word, expected] of SYLLABLES) {
+    test(`syllables of ${word}`, () => {
+        assert.deepEqual(segmenter.segmentSyllables(word), expected);
+    });
+}
+
+test('clusters keep finals separate', () => {
+    assert.deepEqual(segmenter.segmentSyllables('ទីកន្លែង', 'cluster'), ['ទី', 'ក', 'ន្លែ', 'ង']);
+});
+
+test('offsets refer to the original text', () => {
+    const { tokens } = segmenter.segmentSyllablesWithOffsets('ទីកន្លែង ១២');
+    assert.deepEqual(tokens.map(t => [t.text, t.start, t.end]), [
+        ['ទី', 0, 2], ['កន្លែង', 2, 8], [' ', 8, 9], ['១២', 9, 11]
+    ]);
+});
+
+test('unknown unit throws', () => {
+    assert.throws(() => segmenter.segmentSyllables('ក', 'word'), /Unknown unit/);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSegmenter } from '../segmenter_node.js';
+
+const segmenter = await loadSegmenter();
+
+const sources = (text, disablePostProcessing = false) =>
+    segmenter.segmentWithTrace(text, disablePostProcessing).tokens.map(t => [t.text, t.trace.source]);
+
+test('trace tokens match segmentWithOffsets', () => {
+    const text = 'ខ្ញុំទៅផ្សារ xyz ១២';
+    const traced = segmenter.segmentWithTrace(text).tokens.map(({ text, start, end }) => ({ text, start, end }));
+    assert.deepEqual(traced, segmenter.segmentWithOffsets(text).tokens);
+});
+
+test('trace sources of single edges', () => {
+    assert.deepEqual(sources('ខ្ញុំ ១២'), [['ខ្ញុំ', 'dictionary'], [' ', 'separator'], ['១២', 'number']]);
+});
+
+test('unknown runs merged after the rules are traced as unknown_merge', () => {
+    const [token] = segmenter.segmentWithTrace('xyz').tokens;
+    assert.equal(token.trace.source, 'unknown_merge');
+    assert.equal(token.trace.unknownMerge, true);
+    assert.deepEqual(token.trace.parts.map(p => p.text), ['x', 'y', 'z']);
+});
+
+test('rule merges list the rule and the edges they joined', () => {
+    // Prefix OR Merge glues 'អ' onto the next segment
+    const token = segmenter.segmentWithTrace('អខ').tokens[0];
+    assert.equal(token.text, 'អខ');
+    assert.equal(token.trace.source, 'rule');
+    assert.deepEqual(token.trace.rules, ['Prefix OR Merge']);
+    assert.deepEqual(token.trace.parts.map(p => p.text), ['អ', 'ខ']);
+    const cost = token.trace.parts.reduce((sum, p) => sum + p.cost, 0);
+    assert.ok(Math.abs(token.trace.cost - cost) < 1e-9);
+});
+
+test('without post-processing every token is one edge', () => {
+    for (const { trace } of segmenter.segmentWithTrace('អខ xyz', true).tokens) {
+        assert.equal(trace.parts.length, 1);
+        assert.deepEqual(trace.rules, []);
+        assert.equal(trace.unknownMerge, false);
+    }
+});
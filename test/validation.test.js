@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KhmerValidator, applyFix, applyFixes } from '../validation.js';
+import { KhmerNormalizer } from '../normalization.js';
+
+const validator = new KhmerValidator();
+
+// [text, type, start, end, fix, fixed text]
+const CASES = [
+    ['ក្', 'trailing_coeng', 1, 2, '', 'ក'],
+    ['្កា', 'stray_coeng', 0, 2, 'ក', 'កា'],
+    ['ក្ា', 'stray_coeng', 1, 2, '', 'កា'],
+    [' ា', 'orphan_vowel', 1, 2, '', ' '],
+    ['កាា', 'duplicate_sign', 2, 3, '', 'កា'],
+    ['កំុ', 'modifier_order', 0, 3, 'កុំ', 'កុំ'],
+    ['កេី', 'split_vowel', 0, 3, 'កើ', 'កើ'],
+    ['៘', 'deprecated_char', 0, 1, '។ល។', '។ល។'],
+    ['ក\u200b\u200bខ', 'mixed_zwsp', 2, 3, '', 'ក\u200bខ'],
+    ['ក\u200b ខ', 'mixed_zwsp', 1, 2, '', 'ក ខ'],
+    ['ក\u200bា', 'mixed_zwsp', 1, 2, '', 'កា']
+];
+
+test('well-formed text has no issues', () => {
+    assert.deepEqual(validator.validate('ខ្ញុំទៅផ្សារ។ សួស្តី\u200bពិភពលោក'), []);
+    assert.deepEqual(validator.validate(''), []);
+});
+
+test('each kind of issue, with its fix', () => {
+    for (const [text, type, start, end, fix, fixed] of CASES) {
+        const issues = validator.validate(text);
+        assert.equal(issues.length, 1, JSON.stringify(text));
+        assert.deepEqual({ ...issues[0], message: undefined }, { type, start, end, fix, message: undefined });
+        assert.equal(applyFix(text, issues[0]), fixed);
+        assert.deepEqual(validator.validate(fixed), [], JSON.stringify(fixed));
+    }
+});
+
+test('rewriting fixes agree with the normalizer', () => {
+    const normalizer = new KhmerNormalizer();
+    const rewrites = CASES.filter(c => ['modifier_order', 'split_vowel', 'deprecated_char'].includes(c[1]));
+    for (const [text, , , , , fixed] of rewrites) assert.equal(normalizer.normalize(text), fixed);
+});
+
+test('issues without a fix are reported but left alone', () => {
+    const issues = validator.validate('ក៓');
+    assert.deepEqual(issues.map(i => [i.type, i.fix]), [['deprecated_char', null]]);
+    assert.equal(applyFixes('ក៓', issues), 'ក៓');
+});
+
+test('applyFixes fixes everything at once, in any issue order', () => {
+    const text = CASES.map(c => c[0]).join(' ');
+    const issues = validator.validate(text);
+    assert.equal(issues.length, CASES.length);
+    for (let k = 1; k < issues.length; k++) assert.ok(issues[k - 1].start <= issues[k].start);
+
+    const fixed = applyFixes(text, issues);
+    assert.equal(fixed, CASES.map(c => c[5]).join(' '));
+    assert.equal(applyFixes(text, [...issues].reverse()), fixed);
+    assert.deepEqual(validator.validate(fixed), []);
+});
+
+test('overlapping fixes: the first one wins', () => {
+    const text = 'កាា';
+    const issues = [
+        { type: 'a', start: 0, end: 2, fix: 'X' },
+        { type: 'b', start: 1, end: 3, fix: 'Y' },
+        { type: 'c', start: 2, end: 3, fix: 'Z' }
+    ];
+    assert.equal(applyFixes(text, issues), 'XZ');
+});
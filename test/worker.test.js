@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+// worker.js runs here as a module with stand-ins for the worker globals;
+// fetch reads the repo's files
+const replies = new Map();
+let onReady;
+const ready = new Promise(resolve => { onReady = resolve; });
+
+globalThis.self = globalThis;
+globalThis.postMessage = (message) => {
+    if (message.type === 'ready') onReady();
+    else if (message.type === 'error' && message.id === undefined) throw new Error(message.error);
+    else replies.get(message.id)(message);
+};
+globalThis.fetch = async (url) => {
+    try {
+        const data = await readFile(new URL(`.${url.slice(1)}`, new URL('../', import.meta.url)), 'utf8');
+        return { ok: true, text: async () => data, json: async () => JSON.parse(data) };
+    } catch (e) {
+        return { ok: false };
+    }
+};
+
+await import('../worker.js');
+
+let nextId = 0;
+function send(message) {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+        replies.set(id, reply => reply.type === 'result' ? resolve(reply.result) : reject(new Error(reply.error)));
+        self.onmessage({ data: { ...message, id } });
+    });
+}
+
+const words = async (text, rules) => (await send({ type: 'segment', text, rules })).map(t => t.word);
+
+self.onmessage({ data: { type: 'init', bundle: null } });
+await ready;
+
+const JOIN = { name: 'Join', trigger: { type: 'exact_match', value: 'ខ្ញុំ' }, action: 'merge_next' };
+const NO_JOIN = { costs: {}, rules: { disable: ['Join'] } };
+
+test('dictionary edits survive a rebuild for a profile', async () => {
+    await send({ type: 'addWord', word: 'ខ្ញុំទៅ', freq: 1000000 });
+    await send({ type: 'removeWord', word: 'ផ្សារ' });
+    const edited = await words('ខ្ញុំទៅផ្សារ');
+    assert.equal(edited[0], 'ខ្ញុំទៅ');
+    assert.ok(!edited.includes('ផ្សារ'));
+
+    await send({ type: 'setProfile', profile: NO_JOIN });
+    assert.deepEqual(await words('ខ្ញុំទៅផ្សារ'), edited);
+    await send({ type: 'setProfile', profile: null });
+    assert.deepEqual(await words('ខ្ញុំទៅផ្សារ'), edited);
+
+    // A new user dictionary replaces the edits
+    await send({ type: 'userDictionary', entries: [] });
+    assert.deepEqual(await words('ខ្ញុំទៅផ្សារ'), ['ខ្ញុំ', 'ទៅ', 'ផ្សារ']);
+});
+
+test('draft rules in a preview go through the profile', async () => {
+    assert.deepEqual(await words('ខ្ញុំទៅ', [JOIN]), ['ខ្ញុំទៅ']);
+    await send({ type: 'setProfile', profile: NO_JOIN });
+    try {
+        assert.deepEqual(await words('ខ្ញុំទៅ', [JOIN]), ['ខ្ញុំ', 'ទៅ']);
+        // Applied rules do too
+        assert.deepEqual(await send({ type: 'setRules', rules: [JOIN] }), []);
+        assert.deepEqual(await words('ខ្ញុំទៅ'), ['ខ្ញុំ', 'ទៅ']);
+    } finally {
+        await send({ type: 'setRules', rules: null });
+        await send({ type: 'setProfile', profile: null });
+    }
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkerPool } from '../worker_pool.js';
+
+// Stand-in for a browser worker: the test decides when it loads or fails,
+// and `segment` jobs are answered with the text as a single token. Other
+// messages are only recorded.
+class FakeWorker {
+    static created = [];
+
+    constructor() {
+        this.onmessage = null;
+        this.onerror = null;
+        this.messages = [];
+        this.terminated = false;
+        FakeWorker.created.push(this);
+    }
+
+    postMessage(message) {
+        this.messages.push(message);
+        if (message.type !== 'segment') return;
+        const { id, text } = message;
+        queueMicrotask(() => this.onmessage({
+            data: { type: 'result', id, result: [{ word: text, isUnknown: false, start: 0, end: text.length }] }
+        }));
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    answer(type, result) {
+        const { id } = this.messages.findLast(m => m.type === type);
+        this.onmessage({ data: { type: 'result', id, result } });
+    }
+
+    ready() {
+        this.onmessage({ data: { type: 'ready' } });
+    }
+
+    fail(message) {
+        this.onmessage({ data: { type: 'error', error: message } });
+    }
+}
+
+globalThis.Worker = FakeWorker;
+globalThis.fetch = async () => ({ ok: false });
+
+async function createPool(size, options = {}) {
+    FakeWorker.created = [];
+    const statuses = [];
+    const pool = new WorkerPool({ ...options, size, onStatus: (kind, message) => statuses.push([kind, message]) });
+    while (FakeWorker.created.length < size) await new Promise(resolve => setTimeout(resolve, 0));
+    return { pool, statuses, workers: [...FakeWorker.created] };
+}
+
+test('reports a degraded pool when some workers fail', async () => {
+    const { pool, statuses, workers } = await createPool(3);
+    workers[0].fail('out of memory');
+    workers[1].ready();
+    assert.deepEqual(statuses.at(-1), ['degraded', '1 of 3 workers failed: out of memory']);
+    workers[2].fail('out of memory');
+    assert.deepEqual(statuses.at(-1), ['degraded', '2 of 3 workers failed: out of memory']);
+
+    const tokens = await pool.segment('abc');
+    assert.deepEqual(tokens.map(t => t.word), ['abc']);
+});
+
+test('reports ready when every worker loads', async () => {
+    const { statuses, workers } = await createPool(2);
+    for (const worker of workers) worker.ready();
+    assert.deepEqual(statuses, [['loading', undefined], ['ready', undefined]]);
+});
+
+test('rejects jobs only when no worker is left', async () => {
+    const { pool, statuses, workers } = await createPool(2);
+    const job = pool.segment('abc');
+    workers[0].fail('broken');
+    assert.equal(statuses.at(-1)[0], 'loading');
+    workers[1].fail('broken');
+    assert.deepEqual(statuses.at(-1), ['error', 'broken']);
+    await assert.rejects(job, /No worker available: broken/);
+});
+
+test('a worker that does not load in time counts as failed', async () => {
+    const { statuses, workers } = await createPool(2, { loadTimeout: 20 });
+    workers[0].ready();
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal(workers[1].terminated, true);
+    assert.deepEqual(statuses.at(-1), ['degraded', '1 of 2 workers failed: Worker did not load within 20 ms']);
+    // A late 'ready' from the terminated worker changes nothing
+    workers[1].ready();
+    assert.deepEqual(statuses.at(-1), ['degraded', '1 of 2 workers failed: Worker did not load within 20 ms']);
+});
+
+test('direct jobs fail with their worker instead of moving to another', async () => {
+    const { pool, workers } = await createPool(2);
+    const update = pool.setUserDictionary([['ab', 10]]);
+    const sent = () => workers[1].messages.filter(m => m.type === 'userDictionary').length;
+    assert.equal(sent(), 1);
+
+    workers[0].fail('broken');
+    assert.equal(sent(), 1);
+    workers[1].answer('userDictionary', 1);
+    workers[1].ready();
+    // The other worker's answer still counts
+    assert.deepEqual(await update, [1]);
+});
+
+test('direct jobs reject when every worker fails', async () => {
+    const { pool, workers } = await createPool(1);
+    const update = pool.setUserDictionary([['ab', 10]]);
+    workers[0].fail('broken');
+    await assert.rejects(update, /Worker failed: broken/);
+});
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Builds data/khmer_dictionary.bin from the raw dictionary and frequency
+// files. `npm install` runs it (the prepare script); run it again with
+// `npm run build-bundle` after editing either data file. Workers and the
+// Node loader use the bundle when present and fall back to the raw files
+// otherwise.
+//
+//   node tools/build_bundle.js [dictionary.txt] [frequencies.json] [out.bin]
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { KhmerSegmenter } from '../segmenter_browser.js';
+import { encodeBundle } from '../dictionary_bundle.js';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const [
+    dictPath = resolve(root, 'data/khmer_dictionary_words.txt'),
+    freqPath = resolve(root, 'data/khmer_word_frequencies.json'),
+    outPath = resolve(root, 'data/khmer_dictionary.bin')
+] = process.argv.slice(2);
+
+const start = performance.now();
+const segmenter = new KhmerSegmenter(
+    readFileSync(dictPath, 'utf8'),
+    JSON.parse(readFileSync(freqPath, 'utf8')),
+    [],
+    { dictionaryIndex: 'set' } // The trie is rebuilt on load; skip it here
+);
+
+const buffer = encodeBundle(segmenter);
+writeFileSync(outPath, new Uint8Array(buffer));
+
+const seconds = ((performance.now() - start) / 1000).toFixed(2);
+console.log(`Wrote ${outPath}: ${segmenter.words.size} words, ` +
+    `${(buffer.byteLength / (1024 * 1024)).toFixed(1)} MB in ${seconds}s`);
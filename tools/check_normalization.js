@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// Runs the normalization conformance cases (normalization_conformance.js)
+// against KhmerNormalizer and lists the ones that fail.
+//
+//   node tools/check_normalization.js
+
+import { CONFORMANCE_CASES, runConformance } from '../normalization_conformance.js';
+
+// Codepoints, since most cases differ only in invisible or combining marks
+const codepoints = (text) => [...text].map(c => c.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')).join(' ');
+
+const failures = runConformance();
+for (const { name, input, expected, actual } of failures) {
+    console.log(`FAIL ${name}`);
+    console.log(`  input     ${codepoints(input)}`);
+    console.log(`  expected  ${codepoints(expected)}`);
+    console.log(`  actual    ${codepoints(actual)}`);
+}
+console.log(`${CONFORMANCE_CASES.length - failures.length}/${CONFORMANCE_CASES.length} cases pass`);
+if (failures.length > 0) process.exit(1);
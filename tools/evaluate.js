@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Scores the segmenter against a gold-segmented corpus (one sentence per
+// line, words separated by spaces or ZWSP) and prints boundary
+// precision/recall/F1, OOV figures and the most frequent errors.
+//
+//   node tools/evaluate.js gold.txt [--raw | --compare] [--top N] [--json]
+//
+//   --raw      score Viterbi output without rule post-processing
+//   --compare  score both and print them side by side
+//   --top N    length of the over/under-segmentation lists (default 20)
+//   --json     print the full report as JSON
+
+import { readFileSync } from 'node:fs';
+import { loadSegmenter } from '../segmenter_node.js';
+import { evaluate, compareModes } from '../evaluation.js';
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const topIndex = args.indexOf('--top');
+const topValue = topIndex >= 0 ? args[topIndex + 1] : '20';
+const top = /^\d+$/.test(topValue || '') ? parseInt(topValue, 10) : NaN;
+const goldPath = args.find((a, k) => !a.startsWith('--') && (topIndex < 0 || k !== topIndex + 1));
+
+const pct = (x) => `${(x * 100).toFixed(2)}%`;
+
+function summaryRows(report) {
+    const b = report.boundaries;
+    return [
+        ['Boundary precision', pct(b.precision)],
+        ['Boundary recall', pct(b.recall)],
+        ['Boundary F1', pct(b.f1)],
+        ['Word recall', pct(report.wordRecall)],
+        ['OOV rate', pct(report.oovRate)],
+        ['OOV recall', pct(report.oovRecall)],
+        ['Gold words', String(report.goldWords)],
+        ['Predicted words', String(report.predictedWords)]
+    ];
+}
+
+function printConfusions(title, list) {
+    if (list.length === 0) return;
+    console.log(`\n${title}:`);
+    for (const c of list) console.log(`  ${String(c.count).padStart(5)}  ${c.gold}  ->  ${c.predicted}`);
+}
+
+function printReport(report) {
+    console.log(`${report.sentences} sentences`);
+    for (const [label, value] of summaryRows(report)) console.log(`${label.padEnd(20)}${value}`);
+    printConfusions('Over-segmented (gold -> predicted)', report.overSegmentations);
+    printConfusions('Under-segmented (gold -> predicted)', report.underSegmentations);
+}
+
+function printComparison({ raw, postProcessed }) {
+    console.log(`${raw.sentences} sentences`);
+    console.log(`${''.padEnd(20)}${'Raw'.padStart(10)}${'Rules'.padStart(10)}`);
+    const rawRows = summaryRows(raw);
+    const postRows = summaryRows(postProcessed);
+    rawRows.forEach(([label, value], k) => {
+        console.log(`${label.padEnd(20)}${value.padStart(10)}${postRows[k][1].padStart(10)}`);
+    });
+    printConfusions('Over-segmented with rules (gold -> predicted)', postProcessed.overSegmentations);
+    printConfusions('Under-segmented with rules (gold -> predicted)', postProcessed.underSegmentations);
+}
+
+async function main() {
+    if (!goldPath || !(top >= 0)) {
+        console.error('Usage: node tools/evaluate.js gold.txt [--raw | --compare] [--top N] [--json]');
+        process.exit(1);
+    }
+    const gold = readFileSync(goldPath, 'utf8');
+    const segmenter = await loadSegmenter();
+
+    const report = flag('--compare')
+        ? compareModes(segmenter, gold, { top })
+        : evaluate(segmenter, gold, { top, disablePostProcessing: flag('--raw') });
+
+    if (flag('--json')) console.log(JSON.stringify(report, null, 2));
+    else if (flag('--compare')) printComparison(report);
+    else printReport(report);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Validates a rules file against the rule language and runs the test
+// cases attached to its rules. Also checks that rules.schema.json and the
+// validator agree, on the file and on rule_schema_samples.js. Exits with
+// status 1 on any problem, so it can run in CI whenever rules.json, the
+// schema or the rule engine changes.
+//
+//   node tools/test_rules.js [rules.json]
+
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadSegmenter } from '../segmenter_node.js';
+import { RuleBasedEngine } from '../rule_engine.js';
+import { runRuleTests, compareWithSchema } from '../rule_tests.js';
+import { RULE_SCHEMA_SAMPLES } from '../rule_schema_samples.js';
+import Ajv2020 from 'ajv/dist/2020.js';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const rulesPath = resolve(process.argv[2] || resolve(root, 'rules.json'));
+
+const show = (segments) => segments.map(s => JSON.stringify(s)).join(' ');
+
+const readJson = (path) => JSON.parse(readFileSync(path, 'utf8'));
+
+// Problems with the schema itself, or where it disagrees with the validator
+function checkSchema(rules) {
+    const validate = new Ajv2020({ allErrors: true }).compile(readJson(resolve(root, 'rules.schema.json')));
+    const problems = compareWithSchema(rules => validate(rules), RULE_SCHEMA_SAMPLES).map(p =>
+        `Sample '${p.name}' should be ${p.expected ? 'valid' : 'invalid'}: ` +
+        `schema ${p.schema ? 'accepts' : 'rejects'} it, validator ${p.validator ? 'accepts' : 'rejects'} it`);
+    if (!validate(rules) && RuleBasedEngine.validateRules(rules).length === 0) {
+        const details = validate.errors.map(e => `  ${e.instancePath || '/'} ${e.message}`).join('\n');
+        problems.push(`${rulesPath} passes the validator but not rules.schema.json:\n${details}`);
+    }
+    return problems;
+}
+
+async function main() {
+    const rules = readJson(rulesPath);
+
+    const schemaProblems = checkSchema(rules);
+    if (schemaProblems.length > 0) {
+        console.error(`rules.schema.json and RuleBasedEngine.validateRules disagree:\n${schemaProblems.join('\n')}`);
+        process.exit(1);
+    }
+
+    // The rules under test are validated by the runner; load without them
+    const segmenter = await loadSegmenter({ rulesData: [] });
+    const { passed, failed, errors } = runRuleTests(segmenter, rules);
+
+    if (errors.length > 0) {
+        console.error(`${rulesPath} is invalid:\n${RuleBasedEngine.formatErrors(errors)}`);
+        process.exit(1);
+    }
+
+    for (const f of failed) {
+        console.error(`FAIL ${f.rule} [test ${f.index}]\n` +
+            `  input:    ${show(f.input)}\n` +
+            `  expected: ${show(f.expected)}\n` +
+            `  actual:   ${show(f.actual)}`);
+    }
+
+    const untested = rules.filter(r => !r.disabled && !(r.tests && r.tests.length > 0)).map(r => r.name);
+    if (untested.length > 0) console.log(`Rules without tests: ${untested.join(', ')}`);
+
+    console.log(`${passed} passed, ${failed.length} failed`);
+    if (failed.length > 0) process.exit(1);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// Builds a word frequency file (the khmer_word_frequencies.json format)
+// and optionally a bigram table from segmented corpora: one sentence per
+// line, words separated by spaces or ZWSP. Run tools/build_bundle.js
+// afterwards if the output replaces data/khmer_word_frequencies.json.
+//
+//   node tools/train_frequencies.js corpus.txt [more.txt ...] [options]
+//
+//   --out FILE            write counts here instead of stdout
+//   --merge FILE          add the counts to an existing frequency file
+//   --weight W            scale corpus counts before merging (default 1)
+//   --smoothing METHOD    none (default), add-k or good-turing; applies to
+//                         the corpus words only, not to unseen words
+//   --k K                 add-k constant, or good-turing threshold
+//   --min-count N         drop words counted less than N
+//   --max-words N         keep only the N most frequent words
+//   --bigrams FILE        also write a bigram table
+//   --merge-bigrams FILE  add the bigram counts to an existing table
+//   --min-bigram-count N  drop pairs counted less than N
+//   --no-normalize        count and merge words as written, without
+//                         KhmerNormalizer
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import {
+    SMOOTHING_METHODS,
+    countCorpus, mergeCounts, mergeBigrams, smoothCounts, smoothBigrams,
+    pruneCounts, pruneBigrams,
+    countsToJson, countsFromJson, bigramsToJson, bigramsFromJson
+} from '../frequency_training.js';
+
+const USAGE = 'Usage: node tools/train_frequencies.js corpus.txt [...] [--out FILE] [--merge FILE] ' +
+    '[--weight W] [--smoothing none|add-k|good-turing] [--k K] [--min-count N] [--max-words N] ' +
+    '[--bigrams FILE] [--merge-bigrams FILE] [--min-bigram-count N] [--no-normalize]';
+
+const VALUE_OPTIONS = [
+    '--out', '--merge', '--weight', '--smoothing', '--k', '--min-count', '--max-words',
+    '--bigrams', '--merge-bigrams', '--min-bigram-count'
+];
+
+function parseArgs(argv) {
+    const opts = { corpora: [], normalize: true };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--no-normalize') {
+            opts.normalize = false;
+        } else if (VALUE_OPTIONS.includes(arg)) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value\n${USAGE}`);
+            opts[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}\n${USAGE}`);
+        } else {
+            opts.corpora.push(arg);
+        }
+    }
+    if (opts.corpora.length === 0) throw new Error(USAGE);
+    return opts;
+}
+
+function number(opts, name, fallback) {
+    if (opts[name] === undefined) return fallback;
+    const value = Number(opts[name]);
+    if (!Number.isFinite(value) || value < 0) throw new Error(`--${name} must be a non-negative number`);
+    return value;
+}
+
+const readJson = (path) => JSON.parse(readFileSync(path, 'utf8'));
+
+function output(path, data) {
+    const json = JSON.stringify(data, null, 4) + '\n';
+    if (path) writeFileSync(path, json);
+    else process.stdout.write(json);
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const method = opts.smoothing || 'none';
+    if (!SMOOTHING_METHODS.includes(method)) {
+        throw new Error(`--smoothing must be one of ${SMOOTHING_METHODS.join(', ')}`);
+    }
+    const k = number(opts, 'k', undefined);
+    const weight = number(opts, 'weight', 1);
+    const wantBigrams = Boolean(opts.bigrams);
+
+    let unigrams = new Map();
+    let bigrams = new Map();
+    let sentences = 0;
+    let tokens = 0;
+    for (const path of opts.corpora) {
+        const counts = countCorpus(readFileSync(path, 'utf8'), {
+            normalize: opts.normalize,
+            bigrams: wantBigrams
+        });
+        mergeCounts(unigrams, counts.unigrams);
+        if (wantBigrams) mergeBigrams(bigrams, counts.bigrams);
+        sentences += counts.sentences;
+        tokens += counts.tokens;
+    }
+    console.error(`${opts.corpora.length} file(s), ${sentences} sentences, ` +
+        `${tokens} tokens, ${unigrams.size} distinct words`);
+
+    // Smooth the corpus estimates, then fold them into the existing counts
+    unigrams = smoothCounts(unigrams, method, { k });
+    if (opts.merge) {
+        unigrams = mergeCounts(countsFromJson(readJson(opts.merge), { normalize: opts.normalize }), unigrams, weight);
+    } else if (weight !== 1) {
+        unigrams = mergeCounts(new Map(), unigrams, weight);
+    }
+    unigrams = pruneCounts(unigrams, {
+        minCount: number(opts, 'min-count', 0),
+        maxWords: number(opts, 'max-words', Infinity)
+    });
+    output(opts.out, countsToJson(unigrams));
+    console.error(`Wrote ${unigrams.size} words${opts.out ? ` to ${opts.out}` : ''}`);
+
+    if (wantBigrams) {
+        bigrams = smoothBigrams(bigrams, method, { k });
+        if (opts['merge-bigrams']) {
+            bigrams = mergeBigrams(bigramsFromJson(readJson(opts['merge-bigrams']), { normalize: opts.normalize }), bigrams, weight);
+        } else if (weight !== 1) {
+            bigrams = mergeBigrams(new Map(), bigrams, weight);
+        }
+        bigrams = pruneBigrams(bigrams, {
+            minCount: number(opts, 'min-bigram-count', 0),
+            vocabulary: unigrams
+        });
+        output(opts.bigrams, bigramsToJson(bigrams));
+        let pairs = 0;
+        for (const next of bigrams.values()) pairs += next.size;
+        console.error(`Wrote ${pairs} word pairs to ${opts.bigrams}`);
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
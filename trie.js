@@ -0,0 +1,95 @@
+// Prefix trie over UTF-16 code units, stored as first-child / next-sibling
+// links in typed arrays. Node 0 is the root. Compact enough to hold the full
+// dictionary with its variants, and lets the segmenter enumerate every
+// dictionary word starting at a position in one walk, without slicing.
+export class PrefixTrie {
+    constructor(capacity = 1024) {
+        this.capacity = capacity;
+        this.firstChild = new Int32Array(capacity).fill(-1);
+        this.nextSibling = new Int32Array(capacity).fill(-1);
+        this.code = new Uint16Array(capacity);
+        this.terminal = new Uint8Array(capacity);
+        this.nodeCount = 1;
+        this.size = 0; // Number of words
+    }
+
+    insert(word) {
+        let node = 0;
+        for (let i = 0; i < word.length; i++) {
+            const code = word.charCodeAt(i);
+            let child = this._child(node, code);
+            if (child === -1) {
+                if (this.nodeCount === this.capacity) this._grow();
+                child = this.nodeCount++;
+                this.code[child] = code;
+                this.nextSibling[child] = this.firstChild[node];
+                this.firstChild[node] = child;
+            }
+            node = child;
+        }
+        if (!this.terminal[node]) {
+            this.terminal[node] = 1;
+            this.size++;
+        }
+    }
+
+    // Unmarks the word; its nodes stay in place for other prefixes
+    delete(word) {
+        const node = this._find(word);
+        if (node === -1 || !this.terminal[node]) return false;
+        this.terminal[node] = 0;
+        this.size--;
+        return true;
+    }
+
+    has(word) {
+        const node = this._find(word);
+        return node !== -1 && this.terminal[node] === 1;
+    }
+
+    // Calls cb(end) for every word equal to text.slice(start, end), in
+    // increasing order of end. Stops as soon as no longer prefix exists.
+    forEachPrefix(text, start, cb) {
+        let node = 0;
+        const n = text.length;
+        for (let j = start; j < n; j++) {
+            node = this._child(node, text.charCodeAt(j));
+            if (node === -1) return;
+            if (this.terminal[node]) cb(j + 1);
+        }
+    }
+
+    _find(word) {
+        let node = 0;
+        for (let i = 0; i < word.length && node !== -1; i++) {
+            node = this._child(node, word.charCodeAt(i));
+        }
+        return node;
+    }
+
+    _child(node, code) {
+        for (let c = this.firstChild[node]; c !== -1; c = this.nextSibling[c]) {
+            if (this.code[c] === code) return c;
+        }
+        return -1;
+    }
+
+    _grow() {
+        const capacity = this.capacity * 2;
+
+        const firstChild = new Int32Array(capacity).fill(-1);
+        firstChild.set(this.firstChild);
+        const nextSibling = new Int32Array(capacity).fill(-1);
+        nextSibling.set(this.nextSibling);
+        const code = new Uint16Array(capacity);
+        code.set(this.code);
+        const terminal = new Uint8Array(capacity);
+        terminal.set(this.terminal);
+
+        this.firstChild = firstChild;
+        this.nextSibling = nextSibling;
+        this.code = code;
+        this.terminal = terminal;
+        this.capacity = capacity;
+    }
+}
@@ -0,0 +1,126 @@
+// User Dictionary
+// Words added (or rejected) by the user, layered over the bundled
+// khmer_dictionary_words.txt and persisted in IndexedDB.
+//
+// Entry: { word, freq, blocked }
+//   freq    - optional raw count, same scale as khmer_word_frequencies.json
+//   blocked - true marks a false positive: the word is removed from the
+//             dictionary instead of added.
+//
+// Plain text format (import/export), one entry per line:
+//   word            add word
+//   word<TAB>123    add word with frequency 123
+//   -word           block word (false positive)
+//   # comment
+
+const DB_NAME = 'khmer-segmenter';
+const DB_VERSION = 1;
+const STORE_NAME = 'user-dictionary';
+
+export class UserDictionary {
+    constructor() {
+        this.entries = new Map(); // word -> entry
+        this.db = null;
+    }
+
+    async open() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'word' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const all = await this._run('readonly', store => store.getAll());
+        this.entries.clear();
+        for (const entry of all) {
+            this.entries.set(entry.word, entry);
+        }
+        return this;
+    }
+
+    list() {
+        return [...this.entries.values()].sort((a, b) => a.word.localeCompare(b.word));
+    }
+
+    async addWord(word, freq = null) {
+        return this._put({ word: UserDictionary.cleanWord(word), freq: freq || null, blocked: false });
+    }
+
+    async blockWord(word) {
+        return this._put({ word: UserDictionary.cleanWord(word), freq: null, blocked: true });
+    }
+
+    async remove(word) {
+        this.entries.delete(word);
+        await this._run('readwrite', store => store.delete(word));
+    }
+
+    // Merges entries parsed from plain text. Returns the number imported.
+    async importText(text) {
+        const parsed = UserDictionary.parseText(text);
+        for (const entry of parsed) {
+            this.entries.set(entry.word, entry);
+        }
+        await this._run('readwrite', store => {
+            let last = null;
+            for (const entry of parsed) last = store.put(entry);
+            return last;
+        });
+        return parsed.length;
+    }
+
+    toText() {
+        return this.list().map(entry => {
+            if (entry.blocked) return `-${entry.word}`;
+            if (entry.freq) return `${entry.word}\t${entry.freq}`;
+            return entry.word;
+        }).join('\n') + '\n';
+    }
+
+    static cleanWord(word) {
+        return word.trim().replace(/[\u200b\u200c\u200d]/g, '');
+    }
+
+    static parseText(text) {
+        const entries = [];
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) continue;
+
+            if (line.startsWith('-')) {
+                const word = UserDictionary.cleanWord(line.slice(1));
+                if (word) entries.push({ word, freq: null, blocked: true });
+                continue;
+            }
+
+            const [wordPart, freqPart] = line.split(/\t|\s+/);
+            const word = UserDictionary.cleanWord(wordPart);
+            if (!word) continue;
+            const freq = freqPart ? parseFloat(freqPart) : NaN;
+            entries.push({ word, freq: Number.isFinite(freq) && freq > 0 ? freq : null, blocked: false });
+        }
+        return entries;
+    }
+
+    async _put(entry) {
+        if (!entry.word) throw new Error("Empty word");
+        this.entries.set(entry.word, entry);
+        await this._run('readwrite', store => store.put(entry));
+        return entry;
+    }
+
+    _run(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(STORE_NAME, mode);
+            const request = operation(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
@@ -0,0 +1,166 @@
+// Khmer Validation
+// Reports the problems KhmerNormalizer and the segmenter otherwise fix
+// silently (reordering modifiers, dropping zero-width characters, the
+// forceRepair edges for stray coeng and dependent vowels). Each issue is
+//   { type, start, end, message, fix }
+// where [start, end) is a range of the checked text and fix is the text
+// suggested to replace it (often ''), or null if there is none.
+
+import { KhmerNormalizer, DEPRECATED_CHARS } from './normalization.js';
+
+export const ISSUE_LABELS = {
+    stray_coeng: 'Stray coeng',
+    trailing_coeng: 'Trailing coeng',
+    orphan_vowel: 'Orphan vowel or sign',
+    duplicate_sign: 'Duplicated sign',
+    modifier_order: 'Wrong modifier order',
+    split_vowel: 'Split vowel',
+    deprecated_char: 'Deprecated character',
+    mixed_zwsp: 'ZWSP usage'
+};
+
+const ZWSP = '\u200b';
+
+function hex(char) {
+    return 'U+' + char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
+}
+
+export class KhmerValidator {
+    constructor(normalizer = new KhmerNormalizer()) {
+        this.normalizer = normalizer;
+    }
+
+    _type(char) {
+        return char === undefined ? 'NONE' : this.normalizer._get_char_type(char);
+    }
+
+    _isConsonant(char) {
+        if (char === undefined) return false;
+        const code = char.charCodeAt(0);
+        return code >= 0x1780 && code <= 0x17A2;
+    }
+
+    _isKhmer(char) {
+        if (char === undefined) return false;
+        const code = char.charCodeAt(0);
+        return code >= 0x1780 && code <= 0x17FF;
+    }
+
+    // Can the char be part of a cluster that a following modifier attaches to
+    _inCluster(char) {
+        return ['BASE', 'VOWEL', 'SIGN', 'REGISTER'].includes(this._type(char));
+    }
+
+    // Issues sorted by offset
+    validate(text) {
+        const issues = [];
+        const add = (type, start, end, message, fix) => issues.push({ type, start, end, message, fix });
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            const prev = text[i - 1];
+            const next = text[i + 1];
+            const type = this._type(char);
+
+            if (DEPRECATED_CHARS[char]) {
+                const { fix, note } = DEPRECATED_CHARS[char];
+                add('deprecated_char', i, i + 1, `${hex(char)} is deprecated; ${note}`, fix);
+                continue;
+            }
+
+            if (char === ZWSP) {
+                if (prev === ZWSP) {
+                    add('mixed_zwsp', i, i + 1, 'Repeated ZWSP', '');
+                } else if (/\s/.test(prev || '') || /\s/.test(next || '')) {
+                    add('mixed_zwsp', i, i + 1, 'ZWSP next to a space', '');
+                } else if (['COENG', 'VOWEL', 'SIGN', 'REGISTER'].includes(this._type(next))) {
+                    add('mixed_zwsp', i, i + 1, 'ZWSP inside a cluster, before a vowel or sign', '');
+                }
+                continue;
+            }
+
+            if (type === 'COENG') {
+                if (!this._isKhmer(next)) {
+                    add('trailing_coeng', i, i + 1, 'Coeng at the end of a word, with no subscript consonant', '');
+                } else if (!this._isConsonant(next)) {
+                    add('stray_coeng', i, i + 1, `Coeng followed by ${hex(next)} instead of a consonant`, '');
+                } else if (!this._inCluster(prev) && this._type(prev) !== 'COENG') {
+                    add('stray_coeng', i, i + 2, 'Subscript consonant without a base', next);
+                }
+                continue;
+            }
+
+            if (type === 'VOWEL' || type === 'SIGN' || type === 'REGISTER') {
+                // Reported with the ZWSP or coeng before it
+                if (prev === ZWSP || this._type(prev) === 'COENG') continue;
+                if (!this._inCluster(prev)) {
+                    add('orphan_vowel', i, i + 1, `${hex(char)} without a base consonant`, '');
+                } else if (char === prev) {
+                    add('duplicate_sign', i, i + 1, `${hex(char)} written twice`, '');
+                }
+            }
+        }
+
+        this._checkClusters(text, issues, add);
+        return issues.sort((a, b) => a.start - b.start || a.end - b.end);
+    }
+
+    // Modifier order and split vowels, per cluster. Clusters that already
+    // have an issue are skipped so that suggested fixes never overlap.
+    _checkClusters(text, issues, add) {
+        const flagged = new Set();
+        for (const issue of issues) {
+            for (let k = issue.start; k < issue.end; k++) flagged.add(k);
+        }
+
+        let i = 0;
+        while (i < text.length) {
+            if (this._type(text[i]) !== 'BASE') {
+                i++;
+                continue;
+            }
+            let end = i + 1;
+            while (end < text.length) {
+                const type = this._type(text[end]);
+                if (type === 'COENG' || type === 'VOWEL' || type === 'SIGN' || type === 'REGISTER') end++;
+                else if (type === 'BASE' && text[end - 1] === '\u17D2') end++; // Subscript
+                else break;
+            }
+
+            let clean = true;
+            for (let k = i; k < end; k++) {
+                if (flagged.has(k)) clean = false;
+            }
+            const cluster = text.slice(i, end);
+            const canonical = this.normalizer.normalize(cluster);
+            if (clean && canonical !== cluster) {
+                const sameChars = [...cluster].sort().join('') === [...canonical].sort().join('');
+                if (sameChars) {
+                    add('modifier_order', i, end, 'Subscripts, vowels and signs are out of order', canonical);
+                } else {
+                    add('split_vowel', i, end, 'Vowel written in two parts instead of the combined character', canonical);
+                }
+            }
+            i = end;
+        }
+    }
+}
+
+// Text with the issue's fix applied
+export function applyFix(text, issue) {
+    if (issue.fix === null) return text;
+    return text.slice(0, issue.start) + issue.fix + text.slice(issue.end);
+}
+
+// Applies every fix that does not overlap an earlier one
+export function applyFixes(text, issues) {
+    const chosen = [];
+    let lastEnd = -1;
+    for (const issue of [...issues].sort((a, b) => a.start - b.start)) {
+        if (issue.fix === null || issue.start < lastEnd) continue;
+        chosen.push(issue);
+        lastEnd = issue.end;
+    }
+    for (let k = chosen.length - 1; k >= 0; k--) text = applyFix(text, chosen[k]);
+    return text;
+}
@@ -1,51 +1,197 @@
 import { KhmerSegmenter } from './segmenter_browser.js';
+import { RuleBasedEngine } from './rule_engine.js';
+import { profileRules } from './profiles.js';
 
 let segmenter = null;
+let baseData = null; // Dictionary source (bundle or raw files) and rules
+let userEntries = []; // User dictionary entries, see user_dictionary.js
+let dictionaryEdits = []; // addWord/removeWord/setWordCost messages since the last userDictionary
+let rulesOverride = null; // Rules set from the rule editor, replacing rules.json
+let profile = null; // { costs, rules } of the selected profile, see profiles.js
 
-async function init() {
+// `bundle` is the precompiled dictionary (see dictionary_bundle.js) sent by
+// the pool, or null to load the raw text/JSON files instead.
+async function init(bundle) {
     try {
-        const [dictRes, freqRes, rulesRes] = await Promise.all([
+        const rulesRes = await fetch('./rules.json');
+        if (!rulesRes.ok) throw new Error("Failed to load rules");
+        const rulesData = await rulesRes.json();
+        const ruleErrors = RuleBasedEngine.validateRules(rulesData);
+        if (ruleErrors.length > 0) {
+            throw new Error(`Invalid rules.json:\n${RuleBasedEngine.formatErrors(ruleErrors)}`);
+        }
+
+        if (bundle) {
+            try {
+                baseData = { bundle, rulesData };
+                buildSegmenter();
+                postMessage({ type: 'ready', source: 'bundle' });
+                return;
+            } catch (e) {
+                console.warn(`Dictionary bundle unusable, loading raw files: ${e.message}`);
+            }
+        }
+
+        const [dictRes, freqRes] = await Promise.all([
             fetch('./data/khmer_dictionary_words.txt'),
-            fetch('./data/khmer_word_frequencies.json'),
-            fetch('./rules.json')
+            fetch('./data/khmer_word_frequencies.json')
         ]);
 
         if (!dictRes.ok) throw new Error("Failed to load dictionary");
         // if (!freqRes.ok) throw new Error("Failed to load frequencies"); // Freq is optional
-        if (!rulesRes.ok) throw new Error("Failed to load rules");
 
         const dictText = await dictRes.text();
         const freqText = freqRes.ok ? await freqRes.json() : {};
-        const rulesData = await rulesRes.json();
 
-        segmenter = new KhmerSegmenter(dictText, freqText, rulesData);
-        postMessage({ type: 'ready' });
+        baseData = { dictText, freqData: freqText, rulesData };
+        buildSegmenter();
+        postMessage({ type: 'ready', source: 'raw' });
 
     } catch (e) {
         postMessage({ type: 'error', error: e.message });
     }
 }
 
-init();
+// Builds the segmenter from the base data, then layers the user dictionary
+// on top through the same edits the addWord/removeWord messages apply, and
+// replays the edits made since, so a rebuild (e.g. for a profile) keeps them.
+function buildSegmenter() {
+    const rulesData = currentRules();
+    const options = { costs: profile ? profile.costs : undefined };
+    const next = baseData.bundle
+        ? new KhmerSegmenter(baseData.bundle, null, rulesData, options)
+        : new KhmerSegmenter(baseData.dictText, baseData.freqData, rulesData, options);
+    applyUserEntries(next, userEntries);
+    for (const edit of dictionaryEdits) applyEdit(next, edit);
+    segmenter = next;
+}
+
+// Editor rules (or rules.json) with the profile's changes applied
+function currentRules() {
+    return profileRules(profile, rulesOverride || baseData.rulesData);
+}
+
+// Runs fn with `rules` in place of the current ones (rule editor preview).
+// The profile's changes apply to them just as to applied rules.
+function withRules(rules, fn) {
+    if (!rules) return fn();
+    const saved = segmenter.ruleEngine;
+    segmenter.setRules(profileRules(profile, rules));
+    try {
+        return fn();
+    } finally {
+        segmenter.ruleEngine = saved;
+    }
+}
+
+function applyUserEntries(target, entries) {
+    for (const entry of entries) {
+        if (entry.blocked) target.removeWord(entry.word);
+        else target.addWord(entry.word, entry.freq);
+    }
+}
+
+function applyEdit(target, { type, word, freq, cost }) {
+    if (type === 'addWord') return target.addWord(word, freq);
+    if (type === 'removeWord') return target.removeWord(word);
+    target.setWordCost(word, cost);
+    return true;
+}
 
 self.onmessage = (e) => {
-    if (!segmenter) return;
+    const { type, text, id, k, trace, decompose, unit, entries, word, freq, cost, bundle, rules } = e.data;
+
+    if (type === 'init') {
+        init(bundle);
+        return;
+    }
+
+    if (type === 'userDictionary') {
+        // Full replacement of the user layer. Before init completes, just
+        // remember the entries; init applies them.
+        userEntries = entries || [];
+        dictionaryEdits = [];
+        if (baseData) buildSegmenter();
+        postMessage({ type: 'result', id, result: userEntries.length });
+        return;
+    }
 
-    const { type, text, id } = e.data;
+    if (type === 'setRules') {
+        // null restores rules.json. Replies with the rule errors.
+        rulesOverride = rules;
+        let errors = [];
+        if (segmenter) errors = segmenter.setRules(currentRules());
+        postMessage({ type: 'result', id, result: errors });
+        return;
+    }
+
+    if (type === 'setProfile') {
+        // Costs and rule changes of a profile (null for the defaults).
+        // Costs are applied while the dictionary loads, so the segmenter is
+        // rebuilt the same way init builds it. Replies with the rule errors.
+        profile = e.data.profile;
+        let errors = [];
+        if (baseData) {
+            buildSegmenter();
+            errors = segmenter.ruleEngine.errors;
+        }
+        postMessage({ type: 'result', id, result: errors });
+        return;
+    }
+
+    if (!segmenter) {
+        if (id !== undefined) postMessage({ type: 'error', id, error: "Segmenter not ready" });
+        return;
+    }
 
     if (type === 'segment') {
         try {
-            const result = segmenter.segment(text);
+            // `rules` (optional) segments with draft rules, leaving the
+            // current ones in place. `decompose` adds compound parts.
+            // `unit` 'syllable' or 'cluster' splits without the dictionary.
+            const syllables = unit === 'syllable' || unit === 'cluster';
+            const { tokens } = syllables
+                ? segmenter.segmentSyllablesWithOffsets(text, unit)
+                : withRules(rules, () => trace
+                    ? segmenter.segmentWithTrace(text)
+                    : segmenter.segmentWithOffsets(text, false, { decompose }));
 
-            // Map results to include unknown status for UI
-            const annotated = result.map(word => ({
-                word: word,
-                isUnknown: segmenter.isUnknown(word)
-            }));
+            // Map results to include unknown status and source offsets for UI
+            const annotated = tokens.map(token => {
+                const item = {
+                    word: token.text,
+                    isUnknown: !syllables && segmenter.isUnknown(token.text),
+                    start: token.start,
+                    end: token.end
+                };
+                if (token.trace) item.trace = token.trace;
+                if (token.parts) {
+                    item.parts = token.parts.map(part => ({ word: part.text, start: part.start, end: part.end }));
+                }
+                return item;
+            });
 
             postMessage({ type: 'result', id, result: annotated });
         } catch (err) {
             postMessage({ type: 'error', id, error: err.message });
         }
+    } else if (type === 'nbest') {
+        try {
+            const result = segmenter.segmentNBest(text, k);
+            postMessage({ type: 'result', id, result });
+        } catch (err) {
+            postMessage({ type: 'error', id, error: err.message });
+        }
+    } else if (type === 'addWord' || type === 'removeWord' || type === 'setWordCost') {
+        // Recorded for buildSegmenter, which starts from the base data
+        dictionaryEdits.push({ type, word, freq, cost });
+        postMessage({ type: 'result', id, result: applyEdit(segmenter, e.data) });
+    } else if (type === 'lattice') {
+        try {
+            const result = segmenter.getLattice(text);
+            postMessage({ type: 'result', id, result });
+        } catch (err) {
+            postMessage({ type: 'error', id, error: err.message });
+        }
     }
 };
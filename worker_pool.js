@@ -0,0 +1,427 @@
+import { segmentChunks } from './segment_stream.js';
+
+// Worker Pool
+// Schedules segmentation jobs over a set of worker.js instances.
+//  - Jobs wait in a central queue; each is handed to the least busy ready
+//    worker, so idle workers pick up work as soon as they finish.
+//  - Jobs can be tagged with a channel. Starting a new request on a channel
+//    supersedes the previous one: its queued jobs are dropped and late
+//    results are discarded, both rejecting with CancelledError.
+//  - Jobs time out; a worker that misses the deadline is restarted.
+//  - Load failures are reported through onStatus instead of leaving the
+//    pool silently not ready. While some workers are left the pool runs
+//    degraded on those; jobs fail only once every worker has failed.
+
+export class CancelledError extends Error {
+    constructor() {
+        super("Superseded by a newer request");
+        this.name = 'CancelledError';
+    }
+}
+
+export class TimeoutError extends Error {
+    constructor(ms) {
+        super(`Worker did not answer within ${ms} ms`);
+        this.name = 'TimeoutError';
+    }
+}
+
+const MAX_IN_FLIGHT = 2; // Per worker; the second hides message latency
+
+function defaultPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+    // Leave a core for the UI thread
+    return Math.min(Math.max(cores - 1, 1), 8);
+}
+
+// Copy of a segment result token moved by delta, compound parts included
+function shiftToken(token, delta) {
+    const shifted = { ...token, start: token.start + delta, end: token.end + delta };
+    if (token.parts) {
+        shifted.parts = token.parts.map(part => ({ ...part, start: part.start + delta, end: part.end + delta }));
+    }
+    return shifted;
+}
+
+export class WorkerPool {
+    // options:
+    //   size      - number of workers (default: from hardwareConcurrency)
+    //   timeout   - per-job timeout in ms
+    //   loadTimeout - ms a worker may take to load before it counts as failed
+    //   onStatus  - callback(kind, message), kind: 'loading' | 'ready' |
+    //               'degraded' (some workers failed) | 'error' (all failed)
+    //   workerUrl - worker script
+    constructor(options = {}) {
+        this.size = options.size || defaultPoolSize();
+        this.timeout = options.timeout || 30000;
+        this.loadTimeout = options.loadTimeout || 120000;
+        this.onStatus = options.onStatus || (() => { });
+        this.workerUrl = options.workerUrl || 'worker.js';
+
+        this.slots = []; // { worker, state: 'loading' | 'ready' | 'failed', jobs: Map, error, loadTimer }
+        this.queue = []; // Jobs waiting for a worker
+        this.generations = {}; // channel -> current generation
+        this.ready = false;
+        this.bundle = null;
+        this.userEntries = null;
+        this.rules = null; // From the rule editor; null means rules.json
+        this.profile = null; // { costs, rules }, see profiles.js; null means defaults
+        this.dictionaryEdits = []; // addWord/removeWord/... since the last setUserDictionary
+        this.nextId = 0;
+
+        this.init();
+    }
+
+    async init() {
+        this.onStatus('loading');
+        this.bundle = await this._loadBundle();
+        for (let i = 0; i < this.size; i++) {
+            this.slots.push(this._spawn());
+        }
+    }
+
+    _spawn() {
+        const slot = { worker: null, state: 'loading', jobs: new Map(), error: null, loadTimer: null };
+        const worker = new Worker(this.workerUrl, { type: 'module' });
+        slot.worker = worker;
+        // A load that hangs would otherwise keep the slot 'loading' forever
+        slot.loadTimer = setTimeout(() => {
+            worker.terminate();
+            this._onLoadError(slot, `Worker did not load within ${this.loadTimeout} ms`);
+        }, this.loadTimeout);
+
+        worker.onmessage = (e) => this._onMessage(slot, e.data);
+        worker.onerror = (e) => {
+            e.preventDefault();
+            this._onLoadError(slot, e.message || "Worker script failed to load");
+        };
+
+        // Shared memory needs cross-origin isolation; otherwise each
+        // worker gets its own copy, transferred rather than cloned.
+        if (this.bundle instanceof ArrayBuffer) {
+            const copy = this.bundle.slice(0);
+            worker.postMessage({ type: 'init', bundle: copy }, [copy]);
+        } else {
+            worker.postMessage({ type: 'init', bundle: this.bundle });
+        }
+
+        // The worker applies this once its own data has loaded
+        if (this.userEntries) {
+            worker.postMessage({ type: 'userDictionary', entries: this.userEntries });
+        }
+        if (this.rules) {
+            worker.postMessage({ type: 'setRules', rules: this.rules });
+        }
+        if (this.profile) {
+            worker.postMessage({ type: 'setProfile', profile: this.profile });
+        }
+        return slot;
+    }
+
+    // Fetches the precompiled dictionary once for all workers. Resolves to
+    // null (workers then load the raw files) if it has not been built.
+    async _loadBundle() {
+        try {
+            const res = await fetch('./data/khmer_dictionary.bin');
+            if (!res.ok) return null;
+            const buffer = await res.arrayBuffer();
+
+            if (self.crossOriginIsolated && typeof SharedArrayBuffer !== 'undefined') {
+                const shared = new SharedArrayBuffer(buffer.byteLength);
+                new Uint8Array(shared).set(new Uint8Array(buffer));
+                return shared;
+            }
+            return buffer;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _onMessage(slot, data) {
+        const { type, id, result, error } = data;
+
+        if (type === 'ready') {
+            if (slot.state !== 'loading') return;
+            clearTimeout(slot.loadTimer);
+            slot.state = 'ready';
+            // Edits made while this worker was loading
+            for (const edit of this.dictionaryEdits) {
+                slot.worker.postMessage(edit);
+            }
+            if (!this.ready) {
+                this.ready = true;
+                this._reportStatus();
+            }
+            this._pump();
+            return;
+        }
+
+        if (id === undefined) {
+            if (type === 'error') this._onLoadError(slot, error);
+            return;
+        }
+
+        const job = slot.jobs.get(id);
+        if (!job) return; // Timed out or from a terminated worker
+        slot.jobs.delete(id);
+        clearTimeout(job.timer);
+
+        if (this._isStale(job)) job.reject(new CancelledError());
+        else if (type === 'result') job.resolve(result);
+        else job.reject(new Error(error));
+
+        this._pump();
+    }
+
+    _onLoadError(slot, message) {
+        if (slot.state === 'failed') return;
+        slot.state = 'failed';
+        slot.error = message;
+        clearTimeout(slot.loadTimer);
+        console.error(`Worker failed to load: ${message}`);
+
+        // Queued jobs it had taken go back to the queue for the other
+        // workers; direct ones were meant for this worker only
+        const pending = [...slot.jobs.values()];
+        slot.jobs.clear();
+        for (const job of pending) clearTimeout(job.timer);
+        for (const job of pending.filter(job => job.direct)) {
+            job.reject(new Error(`Worker failed: ${message}`));
+        }
+        this.queue.unshift(...pending.filter(job => !job.direct));
+
+        if (this.slots.every(s => s.state === 'failed')) {
+            this.onStatus('error', message);
+            for (const job of this.queue.splice(0)) {
+                job.reject(new Error(`No worker available: ${message}`));
+            }
+            return;
+        }
+        this._reportStatus();
+        this._pump();
+    }
+
+    // 'ready', or 'degraded' while some workers have failed. Until the first
+    // worker is ready the pool stays 'loading'.
+    _reportStatus() {
+        if (!this.ready) return;
+        const failed = this.slots.filter(s => s.state === 'failed');
+        if (failed.length === 0) {
+            this.onStatus('ready');
+        } else {
+            const last = failed[failed.length - 1];
+            this.onStatus('degraded', `${failed.length} of ${this.slots.length} workers failed: ${last.error}`);
+        }
+    }
+
+    _isStale(job) {
+        return job.channel !== undefined && job.generation !== this.generations[job.channel];
+    }
+
+    // Starts a new generation on `channel`, dropping queued jobs of older ones
+    _supersede(channel) {
+        const generation = (this.generations[channel] || 0) + 1;
+        this.generations[channel] = generation;
+
+        this.queue = this.queue.filter(job => {
+            if (job.channel !== channel) return true;
+            job.reject(new CancelledError());
+            return false;
+        });
+        return generation;
+    }
+
+    // Drops everything pending on `channel`
+    cancel(channel) {
+        this._supersede(channel);
+    }
+
+    _enqueue(message, channel, generation) {
+        if (this.slots.length > 0 && this.slots.every(s => s.state === 'failed')) {
+            return Promise.reject(new Error(`No worker available: ${this.slots[0].error}`));
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ message, channel, generation, resolve, reject, timer: null });
+            this._pump();
+        });
+    }
+
+    _pump() {
+        while (this.queue.length > 0) {
+            let best = null;
+            for (const slot of this.slots) {
+                if (slot.state !== 'ready' || slot.jobs.size >= MAX_IN_FLIGHT) continue;
+                if (!best || slot.jobs.size < best.jobs.size) best = slot;
+            }
+            if (!best) return;
+
+            const job = this.queue.shift();
+            if (this._isStale(job)) {
+                job.reject(new CancelledError());
+                continue;
+            }
+            this._dispatch(best, job);
+        }
+    }
+
+    _dispatch(slot, job) {
+        const id = this.nextId++;
+        slot.jobs.set(id, job);
+        job.timer = setTimeout(() => this._onTimeout(slot, id), this.timeout);
+        slot.worker.postMessage({ ...job.message, id });
+    }
+
+    _onTimeout(slot, id) {
+        const job = slot.jobs.get(id);
+        if (!job) return;
+
+        // The worker is stuck (or far behind); replace it
+        slot.worker.terminate();
+        for (const [, pending] of slot.jobs) {
+            clearTimeout(pending.timer);
+            pending.reject(pending === job ? new TimeoutError(this.timeout) : new Error("Worker restarted"));
+        }
+        const idx = this.slots.indexOf(slot);
+        if (idx !== -1) this.slots[idx] = this._spawn();
+        this._pump();
+    }
+
+    // options.channel: supersede the previous request on this channel
+    // options.rules: segment with these rules instead of the current ones
+    // options.decompose: add the compound parts of each token (`parts`)
+    // options.unit: 'word' (default), or 'syllable' / 'cluster' to split
+    //   into syllables or orthographic clusters (see segmentSyllables)
+    async segment(text, options = {}) {
+        const generation = options.channel !== undefined ? this._supersede(options.channel) : undefined;
+
+        // Split text by newlines to preserve structure and parallelize
+        // We use a regex dealing with various newline formats
+        const lines = text.split(/(\r\n|\r|\n)/g);
+        // split with capture enables us to keep the delimiters, so we can reassemble perfectly.
+
+        let offset = 0;
+        const promises = lines.map((line) => {
+            // We only process actual content, but we need to preserve the separators too.
+            // However, our worker splits words. A newline is effectively a separator.
+            // So we dispatch "content" lines to workers, and wrap separators as "words" directly.
+            const lineStart = offset;
+            offset += line.length;
+
+            if (/^(\r\n|\r|\n)$/.test(line)) {
+                // It's a newline
+                return Promise.resolve([{ word: line, isUnknown: false, start: lineStart, end: offset }]);
+            }
+            if (!line) return Promise.resolve([]);
+
+            // Worker offsets are relative to the line; shift them into the whole text
+            const message = {
+                type: 'segment',
+                text: line,
+                rules: options.rules,
+                decompose: options.decompose,
+                unit: options.unit
+            };
+            return this._enqueue(message, options.channel, generation).then(tokens => tokens.map(t => shiftToken(t, lineStart)));
+        });
+
+        const results = await Promise.all(promises);
+        return results.flat();
+    }
+
+    // Incremental variant of segment() for very large inputs: `source` is an
+    // (async) iterable of text chunks, e.g. a ReadableStream from
+    // File.stream() piped through a TextDecoderStream. Yields token arrays in
+    // order as soon as each piece is done, keeping all workers busy.
+    async *segmentStream(source, options = {}) {
+        yield* segmentChunks(source, piece => this.segment(piece), {
+            concurrency: this.size,
+            ...options
+        });
+    }
+
+    // Segment a single line with per-token provenance (see segmentWithTrace)
+    async explain(text, options = {}) {
+        const generation = options.channel !== undefined ? this._supersede(options.channel) : undefined;
+        return this._enqueue({ type: 'segment', text, trace: true }, options.channel, generation);
+    }
+
+    // Top-k alternative segmentations of a single line, with their costs
+    async nBest(text, k = 5, options = {}) {
+        const generation = options.channel !== undefined ? this._supersede(options.channel) : undefined;
+        return this._enqueue({ type: 'nbest', text, k }, options.channel, generation);
+    }
+
+    // All candidate edges (dictionary, number, acronym, unknown, repair...)
+    async lattice(text) {
+        return this._enqueue({ type: 'lattice', text });
+    }
+
+    // Sends the user dictionary to every worker; resolves once all rebuilt.
+    // Workers still loading get it too and apply it after their data loads.
+    async setUserDictionary(entries) {
+        this.userEntries = entries;
+        this.dictionaryEdits = [];
+        const targets = this.slots.filter(slot => slot.state !== 'failed');
+        return this._directAll(targets, { type: 'userDictionary', entries });
+    }
+
+    // Replaces the post-processing rules in every worker (null restores
+    // rules.json). Resolves to the rule errors reported by the first worker.
+    async setRules(rules) {
+        this.rules = rules;
+        const targets = this.slots.filter(slot => slot.state !== 'failed');
+        const results = await this._directAll(targets, { type: 'setRules', rules });
+        return results[0] || [];
+    }
+
+    // Switches every worker to a profile's costs and rule changes (null
+    // restores the defaults). Resolves to the rule errors of the first worker.
+    async setProfile(profile) {
+        this.profile = profile;
+        const targets = this.slots.filter(slot => slot.state !== 'failed');
+        const results = await this._directAll(targets, { type: 'setProfile', profile });
+        return results[0] || [];
+    }
+
+    // Dictionary edits, applied in place by every worker
+    async addWord(word, freq = null) {
+        return this.broadcast({ type: 'addWord', word, freq });
+    }
+
+    async removeWord(word) {
+        return this.broadcast({ type: 'removeWord', word });
+    }
+
+    async setWordCost(word, cost) {
+        return this.broadcast({ type: 'setWordCost', word, cost });
+    }
+
+    // Sends an edit to every ready worker. Workers still loading replay it
+    // when they become ready.
+    broadcast(message) {
+        this.dictionaryEdits.push(message);
+        const targets = this.slots.filter(slot => slot.state === 'ready');
+        return this._directAll(targets, message);
+    }
+
+    // Sends a message to each of `targets`. Workers that fail meanwhile are
+    // left out of the results; rejects only if none of them answered.
+    async _directAll(targets, message) {
+        const settled = await Promise.allSettled(targets.map(slot => this._direct(slot, message)));
+        const results = settled.filter(s => s.status === 'fulfilled').map(s => s.value);
+        if (results.length === 0 && settled.length > 0) throw settled[0].reason;
+        return results;
+    }
+
+    // Bypasses the queue: the message must reach this particular worker,
+    // so it fails with the worker rather than moving to another one
+    _direct(slot, message) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            const job = { message, resolve, reject, timer: null, direct: true };
+            slot.jobs.set(id, job);
+            job.timer = setTimeout(() => this._onTimeout(slot, id), this.timeout);
+            slot.worker.postMessage({ ...message, id });
+        });
+    }
+}
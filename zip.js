@@ -0,0 +1,166 @@
+// Minimal ZIP reader/writer
+// Enough for .docx containers and batch downloads: no ZIP64, encryption or
+// multi-disk archives. Deflate goes through the platform's
+// (De)CompressionStream, available in browsers and Node 18+.
+//
+// Entry: { name, data: Uint8Array }
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+const UTF8_NAMES = 0x0800; // General purpose flag bit 11
+
+let crcTable = null;
+
+export function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function transform(data, stream) {
+    const response = new Response(new Blob([data]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// Returns the entries of a ZIP archive, in central directory order
+export async function readZip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end record sits at the very end, before an optional comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIR) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error("Not a ZIP archive");
+
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(pos, true) !== CENTRAL_HEADER) throw new Error("Corrupt ZIP central directory");
+        const method = view.getUint16(pos + 10, true);
+        const compressedSize = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const localOffset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (view.getUint32(localOffset, true) !== LOCAL_HEADER) throw new Error(`Corrupt ZIP entry: ${name}`);
+        const dataStart = localOffset + 30 +
+            view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === STORED) data = raw.slice();
+        else if (method === DEFLATED) data = await transform(raw, new DecompressionStream('deflate-raw'));
+        else throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+
+        entries.push({ name, data });
+    }
+    return entries;
+}
+
+// Builds a ZIP archive. Entries are deflated unless that does not make
+// them smaller. Returns a Uint8Array.
+export async function writeZip(entries) {
+    const encoder = new TextEncoder();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    // Fixed timestamp (1980-01-01 00:00), so output is reproducible
+    const dosTime = 0;
+    const dosDate = (0 << 9) | (1 << 5) | 1;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+        const crc = crc32(data);
+
+        let method = STORED;
+        let stored = data;
+        if (data.length > 0) {
+            const deflated = await transform(data, new CompressionStream('deflate-raw'));
+            if (deflated.length < data.length) {
+                method = DEFLATED;
+                stored = deflated;
+            }
+        }
+
+        const local = new Uint8Array(30 + name.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, LOCAL_HEADER, true);
+        lv.setUint16(4, 20, true); // Version needed
+        lv.setUint16(6, UTF8_NAMES, true);
+        lv.setUint16(8, method, true);
+        lv.setUint16(10, dosTime, true);
+        lv.setUint16(12, dosDate, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, stored.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, name.length, true);
+        local.set(name, 30);
+
+        const central = new Uint8Array(46 + name.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, CENTRAL_HEADER, true);
+        cv.setUint16(4, 20, true); // Version made by
+        cv.setUint16(6, 20, true); // Version needed
+        cv.setUint16(8, UTF8_NAMES, true);
+        cv.setUint16(10, method, true);
+        cv.setUint16(12, dosTime, true);
+        cv.setUint16(14, dosDate, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, stored.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, name.length, true);
+        cv.setUint32(42, offset, true);
+        central.set(name, 46);
+
+        locals.push(local, stored);
+        centrals.push(central);
+        offset += local.length + stored.length;
+    }
+
+    const centralSize = centrals.reduce((sum, c) => sum + c.length, 0);
+    const endRecord = new Uint8Array(22);
+    const ev = new DataView(endRecord.buffer);
+    ev.setUint32(0, END_OF_CENTRAL_DIR, true);
+    ev.setUint16(8, entries.length, true);
+    ev.setUint16(10, entries.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, endRecord];
+    const out = new Uint8Array(offset + centralSize + endRecord.length);
+    let pos = 0;
+    for (const part of parts) {
+        out.set(part, pos);
+        pos += part.length;
+    }
+    return out;
+}